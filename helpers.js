@@ -1,21 +1,48 @@
 require('dotenv').config();
 const fs = require('fs');
+const crypto = require('node:crypto');
+const { v1 } = require('uuid');
 const config = require('./config.json');
 
+// 30 days
+const REFRESH_TOKEN_LIFETIME = config.refresh_token_lifetime ?? 30 * 24 * 60 * 60 * 1000;
+
+// Who can see that a player is online and which room they are in.
+const PRESENCE_VISIBILITIES = ["everyone", "friends", "favorite_friends", "nobody"];
+const DEFAULT_PRESENCE_VISIBILITY = config.default_presence_visibility ?? "friends";
+
 const notificationTemplates = {
     invite: "invite",
     friendRequest: "friendRequest",
-    messageRecieved: "messageRecieved"
+    messageRecieved: "messageRecieved",
+    securityAlert: "securityAlert",
+    tradeOffer: "tradeOffer",
+    inviteDeclined: "invite_declined",
+    roomSuspensionNotice: "room_suspension_notice",
+    roomTerminationNotice: "room_termination_notice"
 };
 
 module.exports = {
     PullPlayerData: PullPlayerData,
     PushPlayerData: PushPlayerData,
+    ModifyPlayerData: ModifyPlayerData,
+    UpdatePlayerData: UpdatePlayerData,
+    SetPlayerFields: SetPlayerFields,
+    IncrementPlayerField: IncrementPlayerField,
+    AddToPlayerSet: AddToPlayerSet,
+    PushToPlayerArray: PushToPlayerArray,
+    RemoveFromPlayerArray: RemoveFromPlayerArray,
     NotifyPlayer: NotifyPlayer,
     ArePlayersAnyFriendType: ArePlayersAnyFriendType,
     ArePlayersAcquantances: ArePlayersAcquantances,
     ArePlayersFriends: ArePlayersFriends,
     ArePlayersFavoriteFriends: ArePlayersFavoriteFriends,
+    HasPlayerBlocked: HasPlayerBlocked,
+    IsEitherPlayerBlocked: IsEitherPlayerBlocked,
+    PRESENCE_VISIBILITIES: PRESENCE_VISIBILITIES,
+    GetPresenceSettings: GetPresenceSettings,
+    GetVisiblePresence: GetVisiblePresence,
+    CanSeePresence: CanSeePresence,
     RemoveAcquaintance: RemoveAcquaintance,
     RemoveFriend: RemoveFriend,
     RemoveFavoriteFriend: RemoveFavoriteFriend,
@@ -24,11 +51,27 @@ module.exports = {
     AddAcquaintance: AddAcquaintance,
     getUserID: getUserID,
     getAccountCount: getAccountCount,
+    AllocateAccountID: AllocateAccountID,
     auditLog: auditLog,
     MergeArraysWithoutDuplication: MergeArraysWithoutDuplication,
     BanPlayer: BanPlayer,
     onPlayerReportedCallback: onPlayerReportedCallback,
-    check: check
+    check: check,
+    CreateSession: CreateSession,
+    RotateSession: RotateSession,
+    IsSessionActive: IsSessionActive,
+    GetSessions: GetSessions,
+    RevokeSession: RevokeSession,
+    RevokeAllSessions: RevokeAllSessions,
+    IsTokenVersionCurrent: IsTokenVersionCurrent,
+    InvalidatePlayerTokens: InvalidatePlayerTokens,
+    DisconnectPlayer: DisconnectPlayer,
+    CreateAccountToken: CreateAccountToken,
+    ConsumeAccountToken: ConsumeAccountToken,
+    CheckPasswordPolicy: CheckPasswordPolicy,
+    GetPasswordPolicy: GetPasswordPolicy,
+    DeleteAccount: DeleteAccount,
+    ProcessScheduledDeletions: ProcessScheduledDeletions
 };
 
 /**
@@ -43,13 +86,124 @@ async function PullPlayerData(id) {
 }
 
 /**
- * Completely overwrites a player's account file/document.
+ * Completely overwrites a player's account file/document, unless it was changed since `data` was pulled.
+ * Nothing is retried on a conflict, prefer `ModifyPlayerData` or the field level functions below.
  * @param {String} id The ID of the player whose data should be updated.
- * @param {Object} data The full data of the specified player's account
+ * @param {Object} data The full data of the specified player's account, as pulled with its `data_version`.
+ * @returns {Promise<Boolean>} Whether or not the data was written. False if the player does not exist or was changed concurrently.
  */
 async function PushPlayerData(id, data) {
     const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
-    await db.collection('accounts').replaceOne({_id: {$eq: id, $exists: true}}, data, {upsert: true});
+
+    // Accounts written before data versions existed have no version, which `$eq: null` also matches.
+    const version = data.data_version ?? null;
+    data.data_version = (version ?? 0) + 1;
+
+    const result = await db.collection('accounts').replaceOne({_id: {$eq: id, $exists: true}, data_version: {$eq: version}}, data);
+    return result.matchedCount > 0;
+}
+
+/**
+ * Applies an update to a player's account document in a single atomic operation, bumping its data version.
+ * @param {String} id The ID of the player to update.
+ * @param {Object} update The MongoDB update to apply.
+ * @param {Object} filter Extra conditions the document must match for the update to apply.
+ * @returns {Promise<Object|null>} The updated document, or null if the player does not exist or did not match `filter`.
+ */
+async function UpdatePlayerData(id, update, filter = {}) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('accounts').findOneAndUpdate(
+        {...filter, _id: {$eq: id, $exists: true}},
+        {...update, $inc: {...update.$inc, data_version: 1}},
+        {returnDocument: 'after'}
+    );
+    return result.value;
+}
+
+/**
+ * Edits a player's account with optimistic concurrency control.
+ * The document is only written back if nobody else changed it in the meantime, otherwise the edit is retried on fresh data.
+ * @param {String} id The ID of the player to edit.
+ * @param {(data: Object) => (Boolean|void|Promise<Boolean|void>)} mutator Edits the data in place. Return `false` to cancel without writing.
+ * @param {Number} attempts How many times to retry when a concurrent change is detected.
+ * @returns {Promise<Object|null>} The data as written, or null if the player does not exist or the mutator cancelled.
+ */
+async function ModifyPlayerData(id, mutator, attempts = 5) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const data = await PullPlayerData(id);
+        if (data === null) return null;
+        if (await mutator(data) === false) return null;
+
+        // Accounts written before data versions existed have no version, which `$eq: null` also matches.
+        const version = data.data_version ?? null;
+        data.data_version = (version ?? 0) + 1;
+
+        const result = await db.collection('accounts').replaceOne({_id: {$eq: id, $exists: true}, data_version: {$eq: version}}, data);
+        if (result.matchedCount > 0) return data;
+    }
+
+    throw new Error(`Failed to modify player data for ${id}, it was changed concurrently ${attempts} times.`);
+}
+
+/**
+ * Atomically sets fields of a player's account.
+ * @param {String} id The ID of the player to update.
+ * @param {Object} fields A map of dot separated field paths to their new values.
+ * @returns {Promise<Boolean>} Whether or not the player exists.
+ */
+async function SetPlayerFields(id, fields) {
+    return await UpdatePlayerData(id, {$set: fields}) !== null;
+}
+
+/**
+ * Atomically adds to a numeric field of a player's account, optionally refusing to take it below a minimum.
+ * @param {String} id The ID of the player to update.
+ * @param {String} path The dot separated path of the field, e.g. `econ.currency`.
+ * @param {Number} amount The amount to add, negative to subtract.
+ * @param {Number|null} minimum If set, the update is refused when the result would be less than this.
+ * @returns {Promise<Number|null>} The new value, or null if the player does not exist or the minimum would be crossed.
+ */
+async function IncrementPlayerField(id, path, amount, minimum = null) {
+    const filter = minimum === null ? {} : {[path]: {$gte: minimum - amount}};
+    const data = await UpdatePlayerData(id, {$inc: {[path]: amount}}, filter);
+    if (data === null) return null;
+
+    return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Atomically adds a value to an array of a player's account if it is not already present.
+ * @param {String} id The ID of the player to update.
+ * @param {String} path The dot separated path of the array, e.g. `private.friends`.
+ * @param {any} value The value to add.
+ * @returns {Promise<Boolean>} Whether or not the player exists.
+ */
+async function AddToPlayerSet(id, path, value) {
+    return await UpdatePlayerData(id, {$addToSet: {[path]: value}}) !== null;
+}
+
+/**
+ * Atomically appends a value to an array of a player's account.
+ * @param {String} id The ID of the player to update.
+ * @param {String} path The dot separated path of the array, e.g. `private.outfits`.
+ * @param {any} value The value to append.
+ * @returns {Promise<Boolean>} Whether or not the player exists.
+ */
+async function PushToPlayerArray(id, path, value) {
+    return await UpdatePlayerData(id, {$push: {[path]: value}}) !== null;
+}
+
+/**
+ * Atomically removes every matching element from an array of a player's account.
+ * @param {String} id The ID of the player to update.
+ * @param {String} path The dot separated path of the array.
+ * @param {any} match The value to remove, or a query matching the elements to remove.
+ * @returns {Promise<Boolean>} Whether or not the player exists.
+ */
+async function RemoveFromPlayerArray(id, path, match) {
+    return await UpdatePlayerData(id, {$pull: {[path]: match}}) !== null;
 }
 
 /**
@@ -57,20 +211,15 @@ async function PushPlayerData(id, data) {
  * @param {String} id The ID of the player to notify.
  * @param {String} template The template to use for the notification.
  * @param {Object} params The parameters of this notification. (Template specific.)
- * @returns 
+ * @returns {Promise<Boolean>} Whether or not the notification was sent.
  */
 async function NotifyPlayer(id, template, params) {
     if(!(Object.values(notificationTemplates).includes(template))) return false;
-    var data = await PullPlayerData(id);
-    if(data === null) return false;
 
-    const notification = {
-        template: template,
-        parameters: params
-    };
-    data.notifications.push(notification);
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    if(await db.collection('accounts').countDocuments({_id: {$eq: id}}, {limit: 1}) < 1) return false;
 
-    await PushPlayerData(id, data);
+    await require('./routers/notifications').CreateNotification(id, template, params);
     return true;
 }
 
@@ -91,6 +240,90 @@ async function ArePlayersAnyFriendType(player1, player2) {
           data2.private.favoriteFriends.includes(player1);
 }
 
+/**
+ * Checks whether a player has blocked another player.
+ * @param {String} player1 The ID of the player who may have blocked.
+ * @param {String} player2 The ID of the player who may be blocked.
+ * @returns {Promise<Boolean>} Whether or not player A has blocked player B.
+ */
+async function HasPlayerBlocked(player1, player2) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('accounts').countDocuments({_id: {$eq: player1, $exists: true}, "private.blocked": {$eq: player2}}, {limit: 1}) > 0;
+}
+
+/**
+ * Checks whether either player has blocked the other. Blocked players cannot interact in either direction.
+ * @param {String} player1 The ID of player A.
+ * @param {String} player2 The ID of player B.
+ * @returns {Promise<Boolean>} Whether or not a block exists between the players.
+ */
+async function IsEitherPlayerBlocked(player1, player2) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('accounts').countDocuments({$or: [
+        {_id: {$eq: player1, $exists: true}, "private.blocked": {$eq: player2}},
+        {_id: {$eq: player2, $exists: true}, "private.blocked": {$eq: player1}}
+    ]}, {limit: 1}) > 0;
+}
+
+/**
+ * Reads a player's presence privacy settings, filling in defaults for anything they have not set.
+ * @param {Object} data The player's account data.
+ * @returns {{visibility: String, appear_offline: Boolean, status: String|null}} The presence settings.
+ */
+function GetPresenceSettings(data) {
+    return {
+        visibility: DEFAULT_PRESENCE_VISIBILITY,
+        appear_offline: false,
+        status: null,
+        ...data.private?.presence
+    };
+}
+
+/**
+ * Works out what somebody may see of a player's presence, following the player's privacy settings and block list.
+ * @param {Object} data The account data of the player whose presence is being shown.
+ * @param {String|null} viewer_id The ID of the player looking, or null if they are not logged in.
+ * @returns {{online: Boolean, roomId: String|null, status: String|null}} The presence to show.
+ */
+function GetVisiblePresence(data, viewer_id) {
+    const client = require('./routers/ws/WebSocketServerV2').ws_connected_clients[data._id];
+    const settings = GetPresenceSettings(data);
+
+    if(viewer_id === data._id) return {online: typeof client == 'object', roomId: client?.roomId ?? null, status: settings.status};
+    if(typeof client != 'object' || !CanSeePresence(data, viewer_id)) return {online: false, roomId: null, status: null};
+
+    return {online: true, roomId: client.roomId, status: settings.status};
+}
+
+/**
+ * Checks whether somebody would see a player as online while they are connected, following the player's privacy settings and block list.
+ * @param {Object} data The account data of the player whose presence is being shown.
+ * @param {String|null} viewer_id The ID of the player looking, or null if they are not logged in.
+ * @returns {Boolean} Whether or not the player's presence is visible to them.
+ */
+function CanSeePresence(data, viewer_id) {
+    const settings = GetPresenceSettings(data);
+
+    if(viewer_id === data._id) return true;
+    if(settings.appear_offline) return false;
+    if(viewer_id !== null && (data.private.blocked ?? []).includes(viewer_id)) return false;
+
+    switch (settings.visibility) {
+    case "everyone":
+        return true;
+    case "friends":
+        return viewer_id !== null && (
+            data.private.acquaintances.includes(viewer_id) ||
+            data.private.friends.includes(viewer_id) ||
+            data.private.favoriteFriends.includes(viewer_id)
+        );
+    case "favorite_friends":
+        return viewer_id !== null && data.private.favoriteFriends.includes(viewer_id);
+    default:
+        return false;
+    }
+}
+
 /**
  * Checks whether one of the players has the other in their acquaintances list.
  * @param {String} player1 The ID of player A.
@@ -137,17 +370,8 @@ async function ArePlayersFavoriteFriends(player1, player2) {
  * @param {Boolean} both Whether or not to remove the acquaintance from both players.
  */
 async function RemoveAcquaintance(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    var index1 = data1.private.acquaintances.findIndex(item => item === player2);
-    if(index1 >= 0) data1.private.acquaintances.splice(index1);
-
-    var index2 = data2.private.acquaintances.findIndex(item => item === player1);
-    if(index2 >= 0 && both) data2.private.acquaintances.splice(index2);
-
-    await PushPlayerData(player1, data1);
-    await PushPlayerData(player2, data2);
+    await RemoveFromPlayerArray(player1, "private.acquaintances", player2);
+    if(both) await RemoveFromPlayerArray(player2, "private.acquaintances", player1);
 }
 
 /**
@@ -157,17 +381,8 @@ async function RemoveAcquaintance(player1, player2, both) {
  * @param {Boolean} both Whether or not to remove the friend from both players.
  */
 async function RemoveFriend(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    var index1 = data1.private.friends.findIndex(item => item === player2);
-    if(index1 >= 0) data1.private.friends.splice(index1);
-
-    var index2 = data2.private.friends.findIndex(item => item === player1);
-    if(index2 >= 0 && both) data2.private.friends.splice(index2);
-
-    await PushPlayerData(player1, data1);
-    await PushPlayerData(player2, data2);
+    await RemoveFromPlayerArray(player1, "private.friends", player2);
+    if(both) await RemoveFromPlayerArray(player2, "private.friends", player1);
 }
 
 /**
@@ -177,17 +392,8 @@ async function RemoveFriend(player1, player2, both) {
  * @param {Boolean} both Whether or not to remove the favorite friend from both players.
  */
 async function RemoveFavoriteFriend(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    var index1 = data1.private.favoriteFriends.findIndex(item => item === player2);
-    if(index1 >= 0) data1.private.favoriteFriends.splice(index1);
-
-    var index2 = data2.private.favoriteFriends.findIndex(item => item === player1);
-    if(index2 >= 0 && both) data2.private.favoriteFriends.splice(index2);
-
-    await PushPlayerData(player1, data1);
-    await PushPlayerData(player2, data2);
+    await RemoveFromPlayerArray(player1, "private.favoriteFriends", player2);
+    if(both) await RemoveFromPlayerArray(player2, "private.favoriteFriends", player1);
 }
 
 /**
@@ -197,18 +403,8 @@ async function RemoveFavoriteFriend(player1, player2, both) {
  * @param {Boolean} both Whether or not the addition is mutual.
  */
 async function AddAcquaintance(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    if(!data1.private.acquaintances.includes(player2)) 
-    {
-        data1.private.acquaintances.push(player2);
-        await PushPlayerData(player1, data1);
-    }
-    if(!data2.private.acquaintances.includes(player1) && both) {
-        data2.private.acquaintances.push(player1);
-        await PushPlayerData(player2, data2);
-    }
+    await AddToPlayerSet(player1, "private.acquaintances", player2);
+    if(both) await AddToPlayerSet(player2, "private.acquaintances", player1);
 }
 
 /**
@@ -218,18 +414,8 @@ async function AddAcquaintance(player1, player2, both) {
  * @param {Boolean} both Whether or not the addition is mutual.
  */
 async function AddFriend(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    if(!data1.private.friends.includes(player2)) 
-    {
-        data1.private.friends.push(player2);
-        await PushPlayerData(player1, data1);
-    }
-    if(!data2.private.friends.includes(player1) && both) {
-        data2.private.friends.push(player1);
-        await PushPlayerData(player2, data2);
-    }
+    await AddToPlayerSet(player1, "private.friends", player2);
+    if(both) await AddToPlayerSet(player2, "private.friends", player1);
 }
 
 /**
@@ -239,33 +425,25 @@ async function AddFriend(player1, player2, both) {
  * @param {Boolean} both Whether or not the addition is mutual.
  */
 async function AddFavoriteFriend(player1, player2, both) {
-    var data1 = await PullPlayerData(player1);
-    var data2 = await PullPlayerData(player2);
-
-    if(!data1.private.favoriteFriends.includes(player2)) 
-    {
-        data1.private.favoriteFriends.push(player2);
-        await PushPlayerData(player1, data1);
-    }
-    if(!data2.private.favoriteFriends.includes(player1) && both) {
-        data2.private.favoriteFriends.push(player1);
-        await PushPlayerData(player2, data2);
-    }
+    await AddToPlayerSet(player1, "private.favoriteFriends", player2);
+    if(both) await AddToPlayerSet(player2, "private.favoriteFriends", player1);
 }
 
 /**
  * Retrieves the account ID associated with the given username.
+ * Lookups are case-insensitive and use the unique `username_lower` index.
  * @param {String} username The username of the account to fetch.
  * @returns {String|null} The ID of the account associated with that username.
  */
 async function getUserID(username) {
+    if(typeof username != 'string' || username.length < 1) return null;
+
     const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
-    const all = await db.collection('accounts').find({}).toArray();
-    username = username.toLowerCase();
-    for(const item of all) {
-        if(item.public.username.toLowerCase() === username.toLowerCase()) return item._id;
-    }
-    return null;
+    const account = await db.collection('accounts').findOne(
+        {username_lower: {$eq: username.toLowerCase(), $exists: true}},
+        {projection: {_id: 1}}
+    );
+    return account === null ? null : account._id;
 }
 
 /**
@@ -278,6 +456,21 @@ async function getAccountCount() {
     return count - 1;
 }
 
+/**
+ * Atomically reserves the next account ID from the `AccountCount` counter.
+ * IDs are never reused, even if the registration fails or the account is later deleted.
+ * @returns {Promise<String>} The newly reserved account ID.
+ */
+async function AllocateAccountID() {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('configuration').findOneAndUpdate(
+        {_id: {$eq: "AccountCount"}},
+        {$inc: {count: 1}},
+        {upsert: true, returnDocument: 'after'}
+    );
+    return `${result.value.count}`;
+}
+
 /**
  * Logs an audit event, used for security investigations and verifying user reports.
  * @param {String} message The audit event to log.
@@ -353,11 +546,7 @@ async function onPlayerReportedCallback(reportData) {
         await BanPlayer(reportData.reportedUser, reportData.reason, 1, reportData.reportingUser);
         auditLog(`!! MODERATOR ACTION !!   Moderator ${reportingData.nickname} (@${reportingData.username}) reported user ${reportedData.nickname} (@${reportedData.username}) for the reason of ${reportData.reason}, resulting in them being automatically timed out for 1 hour.`);
           
-        var index = reportingData.auth.reportedUsers.findIndex(item => item === reportData.reportedUser);
-        if(index >= 0) {
-            reportingData.auth.reportedUsers.splice(index);
-            await PushPlayerData(reportData.reportingUser, reportingData);
-        }
+        await RemoveFromPlayerArray(reportData.reportingUser, "auth.reportedUsers", reportData.reportedUser);
     } else if (reportedData.auth.recievedReports.length >= config.timeout_at_report_count) {
         await BanPlayer(reportData.reportedUser, `Automated timeout for recieving ${config.timeout_at_report_count} or more reports. This timeout will not affect your moderation history unless it is found to be 100% justified.`, 6, reportData.reportingUser);
         auditLog(`!! MODERATION ACTION !! User ${reportingData.nickname} (@${reportedData.username}) was timed out for 6 hours for recieving ${config.timeout_at_report_count} reports. Please investigate!`);
@@ -373,8 +562,6 @@ async function onPlayerReportedCallback(reportData) {
  * @returns 
  */
 async function BanPlayer(id, reason, duration, moderator) {
-    let data = await PullPlayerData(id);
-
     const endTS = Date.now() + (duration * 60); //convert duration from hours to a unix timestamp
      
     const ban = {
@@ -383,12 +570,9 @@ async function BanPlayer(id, reason, duration, moderator) {
         moderator: moderator
     };
 
-    data.auth.bans.push(ban);
-    await PushPlayerData(id, data);
+    await PushToPlayerArray(id, "auth.bans", ban);
 
-    let clients = require('./routers/ws/WebSocketServerV2').ws_connected_clients;
-    if(!Object.keys(clients).includes(id)) return;
-    clients[id].socket.close();
+    await InvalidatePlayerTokens(id, "banned");
 }
 
 /**
@@ -406,3 +590,485 @@ function check(string) {
     }
     return false;
 }
+
+
+/**
+ * Hashes the secret half of a refresh token for storage.
+ * @param {String} secret The secret half of a refresh token.
+ * @returns {String} The hex encoded SHA-256 digest of the secret.
+ */
+function hashRefreshSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Creates a new login session for a device and issues its first refresh token.
+ * @param {String} user_id The ID of the player logging in.
+ * @param {String} ip The IP address the login came from.
+ * @param {String|undefined} hwid The hardware ID reported by the client, if any.
+ * @returns {Promise<{session_id: String, refresh_token: String}>} The session ID and the plaintext refresh token.
+ */
+async function CreateSession(user_id, ip, hwid) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+        _id: v1(),
+        user_id: user_id,
+        refresh_token_hash: hashRefreshSecret(secret),
+        ip: ip,
+        hwid: typeof hwid == 'string' ? hwid : null,
+        created_at: now,
+        last_used_at: now,
+        expires_at: new Date(now + REFRESH_TOKEN_LIFETIME),
+        revoked: false
+    };
+
+    await db.collection('sessions').insertOne(session);
+    return { session_id: session._id, refresh_token: `${session._id}.${secret}` };
+}
+
+/**
+ * Exchanges a refresh token for a new one. Refresh tokens are single use, presenting an
+ * already rotated token is treated as theft and revokes the whole session.
+ * @param {String} refresh_token The refresh token presented by the client.
+ * @param {String} ip The IP address the request came from.
+ * @returns {Promise<{success: Boolean, reason: String, session: Object|null, refresh_token: String|null}>} The outcome of the rotation.
+ */
+async function RotateSession(refresh_token, ip) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const collection = db.collection('sessions');
+
+    const [session_id, secret] = refresh_token.split(".");
+    if (typeof session_id != 'string' || typeof secret != 'string') return { success: false, reason: "invalid_token", session: null, refresh_token: null };
+
+    // Rotation only succeeds if the presented token is still the current one, so two racing refreshes cannot both win.
+    const new_secret = crypto.randomBytes(32).toString('hex');
+    const rotated = await collection.findOneAndUpdate(
+        {
+            _id: { $eq: session_id, $exists: true },
+            refresh_token_hash: { $eq: hashRefreshSecret(secret) },
+            revoked: { $eq: false },
+            expires_at: { $gt: new Date() }
+        },
+        {
+            $set: {
+                refresh_token_hash: hashRefreshSecret(new_secret),
+                ip: ip,
+                last_used_at: Date.now()
+            }
+        }
+    );
+    if (rotated.value !== null) return { success: true, reason: "success", session: rotated.value, refresh_token: `${session_id}.${new_secret}` };
+
+    const session = await collection.findOne({ _id: { $eq: session_id, $exists: true } });
+    if (session === null) return { success: false, reason: "invalid_token", session: null, refresh_token: null };
+    if (session.revoked) return { success: false, reason: "session_revoked", session: session, refresh_token: null };
+    if (session.expires_at.getTime() < Date.now()) return { success: false, reason: "session_expired", session: session, refresh_token: null };
+
+    // The session is live but the token is not its current one, so it has already been used.
+    await RevokeSession(session.user_id, session._id);
+    auditLog(`!! SECURITY !! A previously used refresh token was presented for session ${session._id} of user ${session.user_id} from ${ip}. The session has been revoked.`, false);
+    return { success: false, reason: "token_reused", session: session, refresh_token: null };
+}
+
+/**
+ * Checks whether the session an access token was issued for is still valid.
+ * Tokens issued before sessions existed carry no session ID and are accepted until they expire.
+ * @param {Object} tokenData The decoded access token.
+ * @returns {Promise<Boolean>} Whether or not the token's session is active.
+ */
+async function IsSessionActive(tokenData) {
+    if (typeof tokenData.sid != 'string') return true;
+
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const session = await db.collection('sessions').findOne(
+        { _id: { $eq: tokenData.sid, $exists: true } },
+        { projection: { revoked: 1, user_id: 1 } }
+    );
+
+    return session !== null && !session.revoked && session.user_id === tokenData.id;
+}
+
+/**
+ * Lists the active sessions of a player.
+ * @param {String} user_id The ID of the player.
+ * @returns {Promise<Object[]>} The player's active sessions, without their refresh token hashes.
+ */
+async function GetSessions(user_id) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('sessions').find(
+        {
+            user_id: { $eq: user_id },
+            revoked: { $eq: false },
+            expires_at: { $gt: new Date() }
+        },
+        {
+            projection: { refresh_token_hash: 0 },
+            sort: { last_used_at: -1 }
+        }
+    ).toArray();
+}
+
+/**
+ * Revokes a single session, invalidating its refresh token and every access token issued for it.
+ * @param {String} user_id The ID of the player who owns the session.
+ * @param {String} session_id The ID of the session to revoke.
+ * @returns {Promise<Boolean>} Whether or not a session was revoked.
+ */
+async function RevokeSession(user_id, session_id) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('sessions').updateOne(
+        {
+            _id: { $eq: session_id, $exists: true },
+            user_id: { $eq: user_id },
+            revoked: { $eq: false }
+        },
+        { $set: { revoked: true } }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Revokes every session of a player.
+ * @param {String} user_id The ID of the player.
+ * @param {String|null} except_session_id A session to leave active, usually the one making the request.
+ * @returns {Promise<Number>} The number of sessions revoked.
+ */
+async function RevokeAllSessions(user_id, except_session_id = null) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const filter = {
+        user_id: { $eq: user_id },
+        revoked: { $eq: false }
+    };
+    if (typeof except_session_id == 'string') filter._id = { $ne: except_session_id };
+
+    const result = await db.collection('sessions').updateMany(filter, { $set: { revoked: true } });
+    return result.modifiedCount;
+}
+
+/**
+ * Checks whether an access token was issued after the account's tokens were last invalidated.
+ * Tokens and accounts from before token versions existed are treated as version 0.
+ * @param {Object} tokenData The decoded access token.
+ * @param {Object} data The account data of the token's owner.
+ * @returns {Boolean} Whether or not the token is still current.
+ */
+function IsTokenVersionCurrent(tokenData, data) {
+    return (tokenData.tv ?? 0) === (data.auth.token_version ?? 0);
+}
+
+/**
+ * Immediately invalidates every access token, refresh token and realtime connection of a player.
+ * Used when a player is banned, changes their password, or loses permissions baked into their tokens.
+ * @param {String} id The ID of the player.
+ * @param {String} reason A short machine readable reason, sent to the disconnected clients.
+ * @param {String|null} except_session_id A session to leave active, usually the one making the request.
+ * @returns {Promise<Number|null>} The account's new token version, or null if the account does not exist.
+ */
+async function InvalidatePlayerTokens(id, reason, except_session_id = null) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('accounts').findOneAndUpdate(
+        { _id: { $eq: id, $exists: true } },
+        { $inc: { "auth.token_version": 1, data_version: 1 } },
+        { returnDocument: 'after', projection: { "auth.token_version": 1 } }
+    );
+    if (result.value === null) return null;
+
+    await RevokeAllSessions(id, except_session_id);
+    DisconnectPlayer(id, reason, except_session_id);
+
+    return result.value.auth.token_version;
+}
+
+/**
+ * Closes a player's WebSocketServerV2 and messaging gateway connections.
+ * @param {String} id The ID of the player.
+ * @param {String} reason A short machine readable reason, sent to the disconnected clients.
+ * @param {String|null} except_session_id Connections authenticated with this session are left open.
+ */
+function DisconnectPlayer(id, reason, except_session_id = null) {
+    const send = {
+        code: "session_revoked",
+        data: {
+            reason: reason
+        }
+    };
+
+    const clients = require('./routers/ws/WebSocketServerV2').ws_connected_clients;
+    if (Object.keys(clients).includes(id) && (except_session_id === null || clients[id].sessionId !== except_session_id))
+        clients[id].socket.close(4004, JSON.stringify(send, null, 5));
+
+    require('./routers/ws/MessagingGatewayServerV1').MessagingGatewayServerV1.clients.forEach(client => {
+        client.emit('force-disconnect', id, reason, except_session_id);
+    });
+}
+
+/**
+ * Creates a single use, time limited token tied to an account, such as a password reset or email verification token.
+ * @param {String} user_id The ID of the account the token belongs to.
+ * @param {String} type What the token may be used for, e.g. `password_reset`.
+ * @param {Number} lifetime How long the token is valid for, in milliseconds.
+ * @param {Object} payload Extra data to store with the token, returned when it is consumed.
+ * @returns {Promise<String>} The plaintext token. Only its hash is stored.
+ */
+async function CreateAccountToken(user_id, type, lifetime, payload = {}) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.collection('account_tokens').insertOne({
+        _id: crypto.createHash('sha256').update(token).digest('hex'),
+        user_id: user_id,
+        type: type,
+        payload: payload,
+        created_at: Date.now(),
+        expires_at: new Date(Date.now() + lifetime),
+        used: false
+    });
+
+    return token;
+}
+
+/**
+ * Atomically marks a token as used, so it cannot be redeemed twice.
+ * @param {String} token The plaintext token presented by the user.
+ * @param {String} type The type the token must have.
+ * @returns {Promise<{user_id: String, payload: Object}|null>} The token's owner and payload, or null if the token is invalid, expired or already used.
+ */
+async function ConsumeAccountToken(token, type) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const result = await db.collection('account_tokens').findOneAndUpdate(
+        {
+            _id: { $eq: crypto.createHash('sha256').update(token).digest('hex'), $exists: true },
+            type: { $eq: type },
+            used: { $eq: false },
+            expires_at: { $gt: new Date() }
+        },
+        { $set: { used: true, used_at: Date.now() } }
+    );
+
+    if (result.value === null) return null;
+    return { user_id: result.value.user_id, payload: result.value.payload };
+}
+
+/**
+ * @typedef PasswordPolicy
+ * @property {Number} min_length The minimum number of characters.
+ * @property {Number} max_length The maximum number of bytes. bcrypt ignores anything past 72 bytes.
+ * @property {Boolean} require_lowercase Whether at least one lowercase letter is required.
+ * @property {Boolean} require_uppercase Whether at least one uppercase letter is required.
+ * @property {Boolean} require_digit Whether at least one digit is required.
+ * @property {Boolean} require_symbol Whether at least one character that is not a letter or digit is required.
+ * @property {Boolean} disallow_username Whether the password may contain the account's username.
+ * @property {String|null} deny_list_path A file of common passwords to refuse, one per line.
+ */
+
+/**
+ * @type {PasswordPolicy}
+ */
+const passwordPolicy = {
+    min_length: 8,
+    max_length: 72,
+    require_lowercase: false,
+    require_uppercase: false,
+    require_digit: false,
+    require_symbol: false,
+    disallow_username: true,
+    deny_list_path: "./data/common-passwords.txt",
+    ...config.password_policy
+};
+
+/**
+ * @type {Set<string>|null}
+ */
+var passwordDenyList = null;
+
+/**
+ * Fetches the password policy, for clients to display the rules before a password is submitted.
+ * @returns {PasswordPolicy} The active password policy.
+ */
+function GetPasswordPolicy() {
+    return passwordPolicy;
+}
+
+/**
+ * Checks a password against the configured password policy.
+ * @param {String} password The password to check.
+ * @param {String|null} username The username of the account, used for the `contains_username` rule.
+ * @returns {String[]} The codes of every rule the password fails. Empty if the password is acceptable.
+ */
+function CheckPasswordPolicy(password, username = null) {
+    const failed = [];
+
+    if (password.length < passwordPolicy.min_length) failed.push("min_length");
+    if (Buffer.byteLength(password, 'utf-8') > passwordPolicy.max_length) failed.push("max_length");
+    if (passwordPolicy.require_lowercase && !/\p{Ll}/u.test(password)) failed.push("lowercase");
+    if (passwordPolicy.require_uppercase && !/\p{Lu}/u.test(password)) failed.push("uppercase");
+    if (passwordPolicy.require_digit && !/\p{Nd}/u.test(password)) failed.push("digit");
+    if (passwordPolicy.require_symbol && !/[^\p{L}\p{Nd}]/u.test(password)) failed.push("symbol");
+
+    if (passwordPolicy.disallow_username && typeof username == 'string' && username.length > 0 && password.toLowerCase().includes(username.toLowerCase()))
+        failed.push("contains_username");
+
+    if (typeof passwordPolicy.deny_list_path == 'string') {
+        if (passwordDenyList === null) {
+            try {
+                passwordDenyList = new Set(
+                    fs.readFileSync(passwordPolicy.deny_list_path, 'utf-8')
+                        .split(/\r?\n/)
+                        .map(line => line.trim().toLowerCase())
+                        .filter(line => line.length > 0)
+                );
+            } catch {
+                console.error(`Failed to read password deny list at ${passwordPolicy.deny_list_path}, common passwords will not be refused.`);
+                passwordDenyList = new Set();
+            }
+        }
+
+        if (passwordDenyList.has(password.toLowerCase())) failed.push("common_password");
+    }
+
+    return failed;
+}
+
+/**
+ * Permanently erases a player's personal data and removes every reference to them from other players, servers, rooms and images.
+ * The account document is replaced with a tombstone so its ID is never reused and moderation records are kept.
+ * @param {String} id The ID of the player to delete.
+ * @returns {Promise<Boolean>} Whether or not the account existed and was deleted.
+ */
+async function DeleteAccount(id) {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const data = await PullPlayerData(id);
+    if (data === null || data.auth.deleted === true) return false;
+
+    // Escrow returned after the write-off would land on the tombstone, so pending trades are closed first.
+    await require('./routers/trades').CancelPlayerTrades(id);
+
+    // The tombstone has no balances, so they are written off in the ledger first to keep deleted accounts reconciling.
+    if (!await WriteOffBalances(id)) return false;
+
+    const token_version = await InvalidatePlayerTokens(id, "account_deleted");
+
+    const accounts = db.collection('accounts');
+    await accounts.updateMany(
+        { _id: { $ne: id } },
+        {
+            $pull: {
+                "private.acquaintances": id,
+                "private.friends": id,
+                "private.favoriteFriends": id,
+                "private.friendRequestsSent": id,
+                "private.blocked": id,
+                "private.muted": id
+            },
+            $inc: { data_version: 1 }
+        }
+    );
+
+    await db.collection('notifications').deleteMany({ $or: [{ user_id: { $eq: id } }, { "parameters.sendingPlayer": { $eq: id } }] });
+
+    await db.collection('servers').updateMany({ [`users.${id}`]: { $exists: true } }, { $unset: { [`users.${id}`]: "" } });
+    await db.collection('rooms').updateMany({ [`userPermissions.${id}`]: { $exists: true } }, { $unset: { [`userPermissions.${id}`]: "" } });
+    await db.collection('images').updateMany({ others: id }, { $pull: { others: id } });
+    await db.collection('images').updateMany({ 'takenBy.id': id }, { $set: { 'takenBy.username': "", 'takenBy.nickname': "Deleted User" } });
+
+    await db.collection('account_tokens').deleteMany({ user_id: { $eq: id } });
+    await db.collection('login_failures').deleteOne({ _id: { $eq: `account:${id}` } });
+
+    // Balances can still change until the tombstone lands, so it only replaces a version that was checked to be empty.
+    let written = false;
+    for (let attempt = 0; attempt < 3 && !written; attempt++) {
+        const current = await PullPlayerData(id);
+        if (current === null) return false;
+        if (!HasNoBalances(current)) {
+            if (!await WriteOffBalances(id)) return false;
+            continue;
+        }
+
+        const tombstone = await PullPlayerData("ACCT_TEMPLATE");
+        tombstone._id = id;
+        tombstone.data_version = current.data_version;
+        tombstone.public.nickname = "Deleted User";
+        tombstone.private.messaging_servers = [];
+        tombstone.auth = {
+            ...tombstone.auth,
+            // Moderation history outlives the account.
+            bans: current.auth.bans ?? [],
+            receivedReports: current.auth.receivedReports ?? [],
+            recievedReports: current.auth.recievedReports ?? [],
+            token_version: token_version,
+            deleted: true,
+            deleted_at: Date.now()
+        };
+        written = await PushPlayerData(id, tombstone);
+    }
+    if (!written) return false;
+
+    auditLog(`Account ${id} (@${data.public.username}) was deleted and its personal data erased.`, false);
+    return true;
+}
+
+/**
+ * Empties every wallet and inventory of a player through the ledger.
+ * @param {String} id The ID of the player.
+ * @returns {Promise<Boolean>} Whether or not everything was written off. Fails if the player's balances kept changing.
+ */
+async function WriteOffBalances(id) {
+    const econ = require('./routers/econ');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const data = await PullPlayerData(id);
+        if (data === null) return false;
+
+        const changes = Object.entries(econ.GetWallets(data))
+            .filter(([, amount]) => amount > 0)
+            .map(([currency_id, amount]) => ({ user_id: id, currency: -amount, currency_id: currency_id }));
+        const items = Object.fromEntries(Object.entries(data.econ?.inventory ?? {})
+            .filter(([, count]) => count > 0)
+            .map(([item_id, count]) => [item_id, -count]));
+        if (Object.keys(items).length > 0) changes.push({ user_id: id, items: items });
+        if (changes.length === 0) return true;
+
+        // Anything gained between reading and writing would be left over, so the transaction only goes through if it empties everything.
+        const entry = await econ.ExecuteTransaction("write_off", "system", changes, { reason: "account_deleted" }, async (session, db) => {
+            const account = await db.collection('accounts').findOne({ _id: { $eq: id } }, { session, projection: { econ: 1 } });
+            return HasNoBalances(account);
+        });
+        if (entry !== null) return true;
+    }
+    return false;
+}
+
+/**
+ * Checks that a player has nothing left in any wallet or inventory.
+ * @param {Object} data The player's data, at least its `econ` field.
+ * @returns {Boolean} Whether or not every balance is empty.
+ */
+function HasNoBalances(data) {
+    const econ = require('./routers/econ');
+    return Object.values(econ.GetWallets(data)).every(amount => amount <= 0) &&
+        Object.values(data.econ?.inventory ?? {}).every(count => count <= 0);
+}
+
+/**
+ * Deletes every account whose deletion grace period has ended.
+ * @returns {Promise<Number>} The number of accounts deleted.
+ */
+async function ProcessScheduledDeletions() {
+    const db = require('./index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const due = await db.collection('accounts').find(
+        { "auth.deletion_scheduled_for": { $lte: Date.now() } },
+        { projection: { _id: 1 } }
+    ).toArray();
+
+    let count = 0;
+    for (const account of due) {
+        if (await DeleteAccount(account._id)) count++;
+    }
+    return count;
+}
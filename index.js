@@ -51,7 +51,7 @@ app.use("/dev", require('./routers/dev'));
 // /api/global/*
 app.use("/api/global", require('./routers/global'));
 // /api/notifications/*
-app.use("/api/notifications", require('./routers/notifications'));
+app.use("/api/notifications", require('./routers/notifications').router);
 // /img/*
 app.use("/img", require('./routers/img'));
 // /api/analytics/*
@@ -61,6 +61,11 @@ app.use("/api/social", require('./routers/social'));
 // /api/econ/*
 const econ = require('./routers/econ');
 app.use("/api/econ", econ.router);
+// /api/econ/store/*
+app.use("/api/econ/store", require('./routers/storefront').router);
+app.use("/api/econ/trades", require('./routers/trades').router);
+app.use("/api/econ/outfit", require('./routers/outfits').router);
+app.use("/api/econ/rewards", require('./routers/rewards').router);
 // /api/matchmaking/*
 const matchmaking = require('./routers/matchmaking');
 app.use("/api/matchmaking", matchmaking.router);
@@ -135,7 +140,7 @@ const client = new MongoClient(uri, {
 async function seedDatabase(client) {
     const db = client.db(process.env.MONGOOSE_DATABASE_NAME);
 
-    const collections = ["accounts", "channels", "configuration", "global", "rooms", "servers"];
+    const collections = ["accounts", "channels", "configuration", "currencies", "global", "rewards", "rooms", "servers"];
     for (const collection of collections) {
         const count = await db.collection(collection).estimatedDocumentCount();
         if (count === 0) {
@@ -159,6 +164,104 @@ async function seedDatabase(client) {
     }
 }
 
+// Accounts created before `username_lower` existed need it filled in before the unique index can be built.
+async function migrateUsernames(db) {
+    const accounts = db.collection("accounts");
+    const pending = await accounts.find(
+        { username_lower: { $exists: false }, "public.username": { $type: "string", $ne: "" }, "auth.deleted": { $ne: true } },
+        { projection: { "public.username": 1 } }
+    ).sort({ _id: 1 }).toArray();
+    if (pending.length === 0) return;
+
+    const taken = new Set(await accounts.distinct("username_lower"));
+    let migrated = 0;
+    for (const account of pending) {
+        let username = account.public.username;
+        // Duplicates are renamed after their account ID, so they can still log in and the first account keeps the name.
+        for (let attempt = 0; taken.has(username.toLowerCase()); attempt++) {
+            const suffix = attempt === 0 ? `_${account._id}` : `_${account._id}_${attempt}`;
+            username = `${account.public.username.slice(0, Math.max(32 - suffix.length, 1))}${suffix}`;
+        }
+        taken.add(username.toLowerCase());
+
+        const update = { $set: { username_lower: username.toLowerCase() } };
+        if (username !== account.public.username) {
+            update.$set["public.username"] = username;
+            update.$push = { "auth.previous_usernames": { username: account.public.username, changed_at: Date.now() } };
+            update.$inc = { data_version: 1 };
+            helpers.auditLog(`!! USERNAME MIGRATION !! Account ${account._id} shared the username @${account.public.username} with another account and has been renamed to @${username}.`, false);
+        }
+
+        await accounts.updateOne({ _id: { $eq: account._id } }, update);
+        migrated++;
+    }
+    console.log(`Migrated ${migrated} usernames.`);
+}
+
+// Brings the account ID counter up to date with existing accounts, and reports IDs that could collide.
+async function checkAccountIds(db) {
+    const ids = (await db.collection("accounts").find({}, { projection: { _id: 1 } }).toArray()).map(account => account._id);
+
+    let highest = 0;
+    const seen = new Map();
+    for (const id of ids) {
+        if (id === "ACCT_TEMPLATE") continue;
+
+        const numeric = parseInt(id);
+        if (isNaN(numeric) || `${numeric}` !== id) {
+            helpers.auditLog(`Account ID consistency check: account ${id} does not have a canonical numeric ID.`, false);
+            if (isNaN(numeric)) continue;
+        }
+
+        if (seen.has(numeric))
+            helpers.auditLog(`Account ID consistency check: accounts ${seen.get(numeric)} and ${id} share the ID ${numeric}.`, false);
+        else seen.set(numeric, id);
+
+        highest = Math.max(highest, numeric);
+    }
+
+    await db.collection("configuration").updateOne({ _id: "AccountCount" }, { $max: { count: highest } }, { upsert: true });
+}
+
+async function ensureIndexes(client) {
+    const db = client.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    await migrateUsernames(db);
+    // Templates and deleted accounts have no username, so only accounts with one are indexed.
+    await db.collection("accounts").createIndex(
+        { username_lower: 1 },
+        { unique: true, partialFilterExpression: { username_lower: { $type: "string" } } }
+    );
+
+    await db.collection("sessions").createIndex({ user_id: 1 });
+    // Expired sessions are cleaned up by MongoDB automatically.
+    await db.collection("sessions").createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    await db.collection("login_failures").createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    await db.collection("econ_ledger").createIndex({ "changes.user_id": 1, created_at: -1 });
+    await db.collection("store_campaigns").createIndex({ type: 1, ends_at: 1 });
+    await db.collection("trades").createIndex({ from: 1, status: 1 });
+    await db.collection("trades").createIndex({ to: 1, status: 1 });
+    await db.collection("trades").createIndex({ status: 1, expires_at: 1 });
+    await db.collection("econ_ledger").createIndex({ "details.creator_id": 1, created_at: -1 }, { sparse: true });
+    await db.collection("room_access").createIndex({ room_id: 1, user_id: 1 }, { unique: true });
+    // Each reward is awarded at most once per key, which is what stops it being claimed twice.
+    await db.collection("reward_claims").createIndex({ user_id: 1, reward_id: 1, key: 1 }, { unique: true });
+    await db.collection("reward_claims").createIndex({ user_id: 1, created_at: -1 });
+    await db.collection("notifications").createIndex({ user_id: 1, created_at: -1 });
+    // Players can only have one invite from each player at a time.
+    await db.collection("notifications").createIndex(
+        { user_id: 1, template: 1, "parameters.sendingPlayer": 1 },
+        { unique: true, partialFilterExpression: { template: "invite" } }
+    );
+    // Notifications with an expiry are cleaned up by MongoDB automatically, ones without have expires_at set to null.
+    await db.collection("notifications").createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    await db.collection("account_tokens").createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection("accounts").createIndex({ "auth.email": 1 }, { sparse: true });
+}
+
 client.connect().then(async (client) => {
     if (!client) {
         console.error(`Failed to connect to MongoDB - fatal\n`);
@@ -169,6 +272,8 @@ client.connect().then(async (client) => {
     console.log("MongoDB Connection Established.");
 
     await seedDatabase(client);
+    await checkAccountIds(client.db(process.env.MONGOOSE_DATABASE_NAME));
+    await ensureIndexes(client);
     
     require('firebase/app').initializeApp(require('./env').firebaseConfig);
     
@@ -215,6 +320,18 @@ client.connect().then(async (client) => {
     exports.MessagingGatewayServerV1 = MessagingGatewayServerV1;
     exports.WebSocketServerV2 = WebSocketServerV2;
 
+    await econ.OpenLedger();
+    await econ.MergeLegacyCurrency();
+    await require('./routers/notifications').MigrateNotifications();
+
+    // Accounts past their deletion grace period are erased hourly.
+    setInterval(() => helpers.ProcessScheduledDeletions().catch(console.error), 60 * 60 * 1000);
+    helpers.ProcessScheduledDeletions().catch(console.error);
+
+    // Trades nobody responded to return their escrow to the proposer.
+    const trades = require('./routers/trades');
+    setInterval(() => trades.ExpireTrades().catch(console.error), 60 * 1000);
+
     helpers.auditLog(`Server Init, API is ready at http://127.0.0.1:${config.PORT}/ \n:D`, false);
     
     process.on('beforeExit', () => {
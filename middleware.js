@@ -9,6 +9,23 @@ module.exports = {
     authenticateTokenAndTag: authenticateTokenAndTag
 };
 
+/**
+ * Verifies an access token's signature and expiry, that its session has not been revoked,
+ * and that it was issued after the account's tokens were last invalidated.
+ * @param {String} token The raw access token.
+ * @returns {Promise<{tokenData: Object, playerData: Object|null}>} The decoded token data and the account it belongs to.
+ * @throws If the token is invalid, expired or revoked.
+ */
+async function verifyAccessToken(token) {
+    const tokenData = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    if (!await helpers.IsSessionActive(tokenData)) throw new Error("Session has been revoked.");
+
+    const playerData = await helpers.PullPlayerData(tokenData.id);
+    if (playerData !== null && !helpers.IsTokenVersionCurrent(tokenData, playerData)) throw new Error("Token has been invalidated.");
+
+    return { tokenData: tokenData, playerData: playerData };
+}
+
 async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(" ")[1];
@@ -18,11 +35,9 @@ async function authenticateToken(req, res, next) {
     //then we need to authenticate that token in this middleware and return a user
     try
     {
-        const tokenData = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+        const { tokenData, playerData: data } = await verifyAccessToken(token);
         req.user = tokenData;
 
-        const data = await helpers.PullPlayerData(tokenData.id);
-
         for (let index = 0; index < data.auth.bans.length; index++) {
             const element = data.auth.bans[index];
                
@@ -56,11 +71,9 @@ async function authenticateDeveloperToken(req, res, next) {
     //then we need to authenticate that token in this middleware and return a user
     try
     {
-        const tokenData = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+        const { tokenData, playerData: data } = await verifyAccessToken(token);
         req.user = tokenData;
 
-        const data = await helpers.PullPlayerData(tokenData.id);
-
         for (let index = 0; index < data.auth.bans.length; index++) {
             const element = data.auth.bans[index];
                
@@ -90,11 +103,9 @@ function authenticateTokenAndTag(tag) {
         if (typeof token != 'string') return res.sendStatus(401);
 
         try {
-            const tokenData = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+            const { tokenData, playerData: data } = await verifyAccessToken(token);
             req.user = tokenData;
 
-            const data = await helpers.PullPlayerData(tokenData.id);
-
             for (let index = 0; index < data.auth.bans.length; index++) {
                 const element = data.auth.bans[index];
                 
@@ -123,9 +134,7 @@ async function authenticateToken_internal(token) {
     //then we need to authenticate that token in this middleware and return a user
     try
     {
-        const tokenData = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-
-        const playerData = await helpers.PullPlayerData(tokenData.id);
+        const { tokenData, playerData } = await verifyAccessToken(token);
         if(playerData === null) return {success: false, tokenData: tokenData, playerData: null, reason: "player_not_found"};
 
         for (let index = 0; index < playerData.auth.bans.length; index++) {
@@ -0,0 +1,12 @@
+/**
+ * Development transport which prints mail to the console instead of sending it.
+ * Only for local development, codes and links in messages end up in the server log.
+ * @type {import('./index').MailTransport}
+ */
+module.exports = {
+    name: "console",
+
+    async send(message) {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+};
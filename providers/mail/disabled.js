@@ -0,0 +1,11 @@
+/**
+ * Default transport for servers that have not set up mail. Refuses to send anything, so codes never end up in logs.
+ * @type {import('./index').MailTransport}
+ */
+module.exports = {
+    name: "disabled",
+
+    async send() {
+        throw new Error("Mail is disabled, set `mail_transport` in config.json to send mail.");
+    }
+};
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config.json');
+
+const directory = config.mail_file_directory ?? "./data/mail";
+
+/**
+ * Development transport which writes each message to its own JSON file, for inspection or local tooling.
+ * @type {import('./index').MailTransport}
+ */
+module.exports = {
+    name: "file",
+
+    async send(message) {
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+        await fs.promises.writeFile(file, JSON.stringify(message, null, "   "));
+    }
+};
@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+/**
+ * Production transport which POSTs each message as JSON to a mail relay or transactional mail API.
+ * Configured with `MAIL_HTTP_URI` and optionally `MAIL_HTTP_TOKEN`, sent as a bearer token.
+ * @type {import('./index').MailTransport}
+ */
+module.exports = {
+    name: "http",
+
+    async send(message) {
+        if (!process.env.MAIL_HTTP_URI) throw new Error("MAIL_HTTP_URI is not set, unable to send mail.");
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.MAIL_HTTP_TOKEN) headers['Authorization'] = `Bearer ${process.env.MAIL_HTTP_TOKEN}`;
+
+        const response = await fetch(process.env.MAIL_HTTP_URI, {
+            'method': 'POST',
+            'headers': headers,
+            'body': JSON.stringify(message)
+        });
+
+        if (!response.ok) throw new Error(`Mail relay responded with status ${response.status}.`);
+    }
+};
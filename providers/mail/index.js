@@ -0,0 +1,58 @@
+const config = require('../../config.json');
+
+/**
+ * @typedef MailMessage
+ * @property {String} from The sender address.
+ * @property {String} to The recipient address.
+ * @property {String} subject The subject line.
+ * @property {String} text The plain text body.
+ */
+
+/**
+ * A way of delivering mail. Transports should throw if the message could not be handed off.
+ * @typedef MailTransport
+ * @property {String} name The identifier used in `config.mail_transport`.
+ * @property {(message: MailMessage) => Promise<void>} send Delivers a message.
+ */
+
+/**
+ * @type {Object.<string, MailTransport>}
+ */
+const transports = {
+    disabled: require('./disabled'),
+    console: require('./console'),
+    file: require('./file'),
+    http: require('./http')
+};
+
+const transport = transports[config.mail_transport ?? "disabled"];
+if (typeof transport == 'undefined') throw new Error(`Unknown mail transport "${config.mail_transport}" in config.json.`);
+
+/**
+ * Sends a plain text email using the configured transport.
+ * @param {String} to The recipient address.
+ * @param {String} subject The subject line.
+ * @param {String} text The plain text body.
+ * @returns {Promise<void>}
+ */
+async function SendMail(to, subject, text) {
+    await transport.send({
+        from: config.mail_from ?? "no-reply@example.com",
+        to: to,
+        subject: subject,
+        text: text
+    });
+}
+
+/**
+ * Checks whether mail can be sent at all, so features relying on it can refuse up front.
+ * @returns {Boolean} Whether or not a mail transport is configured.
+ */
+function IsMailEnabled() {
+    return transport.name !== "disabled";
+}
+
+module.exports = {
+    SendMail: SendMail,
+    IsMailEnabled: IsMailEnabled
+};
@@ -0,0 +1,116 @@
+const crypto = require('node:crypto');
+const config = require('../../config.json');
+
+/**
+ * @typedef MfaBinding
+ * @property {String} secret The shared secret, for manual entry into an authenticator app.
+ * @property {String} uri The otpauth:// URI, usually rendered as a QR code.
+ */
+
+/**
+ * A second factor backend. Providers read and write their own fields on `data.auth`,
+ * the caller is responsible for persisting the account afterwards.
+ * @typedef MfaProvider
+ * @property {String} name The identifier stored in `auth.mfa_provider`.
+ * @property {() => Boolean} isAvailable Whether this provider can be used on this server.
+ * @property {(id: String, data: Object) => Promise<MfaBinding>} enroll Starts enrolment of a new factor.
+ * @property {(id: String, data: Object, code: String) => Promise<Boolean>} verifyEnrollment Confirms a pending factor.
+ * @property {(id: String, data: Object, code: String) => Promise<'approved'|'denied'|'expired'|'pending'>} verify Checks a code during login.
+ * @property {(id: String, data: Object) => Promise<void>} remove Clears any provider specific state from the account.
+ */
+
+/**
+ * @type {Object.<string, MfaProvider>}
+ */
+const providers = {
+    totp: require('./totp'),
+    twilio: require('./twilio')
+};
+
+const RECOVERY_CODE_COUNT = config.mfa_recovery_code_count ?? 10;
+
+/**
+ * Fetches a provider by name.
+ * @param {String} name The name of the provider.
+ * @returns {MfaProvider|null} The provider, or null if no provider has that name.
+ */
+function GetProvider(name) {
+    return Object.keys(providers).includes(name) ? providers[name] : null;
+}
+
+/**
+ * Fetches the provider new enrolments should use.
+ * Defaults to Twilio when it is configured, so existing deployments are unaffected, otherwise TOTP.
+ * @returns {MfaProvider|null} The provider, or null if the configured provider does not exist.
+ */
+function GetEnrollmentProvider() {
+    if (typeof config.mfa_provider == 'string') return GetProvider(config.mfa_provider);
+    return providers.twilio.isAvailable() ? providers.twilio : providers.totp;
+}
+
+/**
+ * Fetches the provider an account enrolled with.
+ * Accounts enrolled before providers existed have no `mfa_provider` field and always used Twilio.
+ * @param {Object} data The account data of the player.
+ * @returns {MfaProvider|null} The provider, or null if it no longer exists.
+ */
+function GetAccountProvider(data) {
+    return GetProvider(data.auth.mfa_provider ?? "twilio");
+}
+
+/**
+ * Hashes a recovery code for storage. Recovery codes are high entropy, so a plain digest is sufficient.
+ * @param {String} code The recovery code.
+ * @returns {String} The hex encoded SHA-256 digest of the normalized code.
+ */
+function HashRecoveryCode(code) {
+    const normalized = code.toLowerCase().replace(/[^0-9a-f]/g, "");
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates a fresh set of recovery codes, replacing any existing ones on the account.
+ * @param {Object} data The account data of the player. Only the hashes are stored.
+ * @returns {String[]} The plaintext recovery codes. These cannot be retrieved again.
+ */
+function GenerateRecoveryCodes(data) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    data.auth.mfa_recovery_codes = codes.map(HashRecoveryCode);
+    return codes;
+}
+
+/**
+ * Checks a recovery code and removes it from the account if it is valid.
+ * The code is removed from the stored account atomically, so two concurrent logins cannot both use it.
+ * @param {String} id The ID of the player.
+ * @param {Object} data The account data of the player, which is kept in sync.
+ * @param {String} code The recovery code the user entered.
+ * @returns {Promise<Boolean>} Whether or not the code was valid and unused.
+ */
+async function ConsumeRecoveryCode(id, data, code) {
+    if (!Array.isArray(data.auth.mfa_recovery_codes)) return false;
+
+    const hash = HashRecoveryCode(code);
+    const db = require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('accounts').updateOne(
+        { _id: { $eq: id, $exists: true }, "auth.mfa_recovery_codes": { $eq: hash } },
+        { $pull: { "auth.mfa_recovery_codes": hash }, $inc: { data_version: 1 } }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    data.auth.mfa_recovery_codes = data.auth.mfa_recovery_codes.filter(x => x !== hash);
+    return true;
+}
+
+module.exports = {
+    GetProvider: GetProvider,
+    GetEnrollmentProvider: GetEnrollmentProvider,
+    GetAccountProvider: GetAccountProvider,
+    GenerateRecoveryCodes: GenerateRecoveryCodes,
+    ConsumeRecoveryCode: ConsumeRecoveryCode
+};
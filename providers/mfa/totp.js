@@ -0,0 +1,167 @@
+const crypto = require('node:crypto');
+const config = require('../../config.json');
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 6238 defaults, these are what every authenticator app expects.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// How many steps either side of the current one we accept, to allow for clock drift.
+const TOTP_WINDOW = 1;
+
+const issuer = config.mfa_totp_issuer ?? "Compensation VR";
+
+/**
+ * Encodes a buffer as an unpadded RFC 4648 base32 string.
+ * @param {Buffer} buffer The bytes to encode.
+ * @returns {String} The base32 representation of the buffer.
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+/**
+ * Decodes an RFC 4648 base32 string, ignoring padding, whitespace and case.
+ * @param {String} string The base32 string to decode.
+ * @returns {Buffer} The decoded bytes.
+ */
+function base32Decode(string) {
+    const clean = string.toUpperCase().replace(/[\s=]/g, "");
+
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error(`Invalid base32 character "${char}".`);
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+/**
+ * Computes the HOTP value (RFC 4226) of a secret for the given counter.
+ * @param {Buffer} key The shared secret.
+ * @param {Number} counter The moving factor, for TOTP this is the current time step.
+ * @returns {String} The zero-padded one time code.
+ */
+function hotp(key, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % (10 ** TOTP_DIGITS)).toString().padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Checks a TOTP code against a secret.
+ * @param {String} secret The base32 encoded shared secret.
+ * @param {String} code The code the user entered.
+ * @param {Number} lastStep The last time step that was accepted for this secret, used to prevent replays.
+ * @returns {Number|null} The time step the code matched, or null if it did not match.
+ */
+function matchCode(secret, code, lastStep) {
+    if (!/^\d+$/.test(code) || code.length !== TOTP_DIGITS) return null;
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (typeof lastStep == 'number' && step <= lastStep) continue;
+
+        const expected = Buffer.from(hotp(key, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+    }
+    return null;
+}
+
+/**
+ * Built-in RFC 6238 TOTP provider. Requires no external services.
+ * @type {import('./index').MfaProvider}
+ */
+module.exports = {
+    name: "totp",
+
+    isAvailable() {
+        return true;
+    },
+
+    async enroll(id, data) {
+        const secret = base32Encode(crypto.randomBytes(20));
+
+        data.auth.mfa_totp_secret = secret;
+        data.auth.mfa_totp_last_step = null;
+
+        const label = encodeURIComponent(`${issuer}:${data.public.username}`);
+        const parameters = new URLSearchParams({
+            secret: secret,
+            issuer: issuer,
+            algorithm: "SHA1",
+            digits: TOTP_DIGITS.toString(),
+            period: TOTP_STEP_SECONDS.toString()
+        });
+
+        return {
+            secret: secret,
+            uri: `otpauth://totp/${label}?${parameters.toString()}`
+        };
+    },
+
+    async verifyEnrollment(id, data, code) {
+        return await this.verify(id, data, code) === 'approved';
+    },
+
+    async verify(id, data, code) {
+        if (typeof data.auth.mfa_totp_secret != 'string') return 'denied';
+
+        const step = matchCode(data.auth.mfa_totp_secret, code, data.auth.mfa_totp_last_step);
+        if (step === null) return 'denied';
+
+        // Claim the step atomically, so two concurrent logins cannot both use the same code.
+        const db = require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const result = await db.collection('accounts').findOneAndUpdate(
+            {
+                _id: { $eq: id, $exists: true },
+                "auth.mfa_totp_secret": { $eq: data.auth.mfa_totp_secret },
+                $or: [{ "auth.mfa_totp_last_step": null }, { "auth.mfa_totp_last_step": { $lt: step } }]
+            },
+            { $set: { "auth.mfa_totp_last_step": step }, $inc: { data_version: 1 } }
+        );
+        if (result.value === null) return 'denied';
+
+        data.auth.mfa_totp_last_step = step;
+        return 'approved';
+    },
+
+    async remove(id, data) {
+        delete data.auth.mfa_totp_secret;
+        delete data.auth.mfa_totp_last_step;
+    }
+};
@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const accountSid = process.env.TWILIO_ACCOUNT_SID;
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+const client = (accountSid !== undefined && authToken !== undefined)
+    ? require('twilio')(accountSid, authToken)
+    : null;
+
+/**
+ * Twilio Verify backed TOTP provider. Only available when Twilio credentials are configured.
+ * @type {import('./index').MfaProvider}
+ */
+module.exports = {
+    name: "twilio",
+
+    isAvailable() {
+        return client !== null;
+    },
+
+    async enroll(id, data) {
+        const new_factor = await client.verify.services(process.env.TWILIO_SERVICE_SID)
+            .entities(`COMPENSATION-VR-ACCOUNT-ID-${id}`)
+            .newFactors
+            .create({
+                friendlyName: `${data.public.username}`,
+                factorType: 'totp'
+            });
+
+        data.auth.mfa_factor_sid = new_factor.sid;
+        return new_factor.binding;
+    },
+
+    async verifyEnrollment(id, data, code) {
+        const factor = await client.verify.services(process.env.TWILIO_SERVICE_SID)
+            .entities(`COMPENSATION-VR-ACCOUNT-ID-${id}`)
+            .factors(data.auth.mfa_factor_sid)
+            .update({authPayload: code});
+
+        return factor.status === 'verified';
+    },
+
+    async verify(id, data, code) {
+        const challenge = await client.verify.services(process.env.TWILIO_SERVICE_SID)
+            .entities(`COMPENSATION-VR-ACCOUNT-ID-${id}`)
+            .challenges
+            .create({authPayload: code, factorSid: data.auth.mfa_factor_sid});
+
+        // 'approved', 'denied', 'expired' or 'pending'
+        return challenge.status;
+    },
+
+    async remove(id, data) {
+        data.auth.mfa_factor_sid = "undefined";
+    }
+};
@@ -5,12 +5,23 @@ const regex = require('../data/badwords/regexp');
 const { authenticateDeveloperToken, authenticateToken_optional } = require('../middleware');
 const { PullPlayerData, PushPlayerData, check } = require('../helpers');
 const express = require('express');
-const Fuse = require('fuse.js');
 const { WebSocketV2_MessageTemplate } = require('../index');
 const { MatchmakingModes, GetInstances } = require('./matchmaking');
+const econ = require('./econ');
+const { CreateNotification } = require('./notifications');
+const config = require('../config.json');
+const { default: rateLimit } = require('express-rate-limit');
 
 router.use(express.urlencoded({extended: false}));
 
+// Exports are expensive, users can only request `max` per `windowMs`.
+const dataExportLimit = rateLimit({
+    'windowMs': config.ratelimit_data_export_window ?? 24 * 60 * 60 * 1000,
+    'max': config.ratelimit_data_export_max ?? 3,
+    'legacyHeaders': true,
+    'standardHeaders': true
+});
+
 //Call to get the public account data of a user.
 router.get("/:id/public", authenticateToken_optional, async (req, res) => {
     const { id } = req.params;
@@ -18,17 +29,16 @@ router.get("/:id/public", authenticateToken_optional, async (req, res) => {
     let authenticated = typeof req.user == 'object';
     
     if (data !== null) {
+        // Players never see the profile of somebody they blocked, and are never shown where somebody who blocked them is.
+        if (authenticated && await helpers.HasPlayerBlocked(req.user.id, id))
+            return res.status(403).send({message: "You have blocked this player. Unblock them to view their profile.", code: "player_blocked"});
+        const blockedBy = authenticated && await helpers.HasPlayerBlocked(id, req.user.id);
+
         var send = data.public;
         const clients = require('./ws/WebSocketServerV2').ws_connected_clients;
 
-        send.presence = typeof clients[id] == 'object' 
-        ? {
-            online: true,
-            roomId: clients[id].roomId
-        } : {
-            online: false,
-            roomId: null
-        };
+        // Presence follows the player's privacy settings, so it may show them offline when they are not.
+        send.presence = helpers.GetVisiblePresence(data, authenticated ? req.user.id : null);
 
         if(authenticated && Object.keys(clients).includes(req?.user?.id)) {
             let own = await helpers.PullPlayerData(req.user.id);
@@ -42,6 +52,7 @@ router.get("/:id/public", authenticateToken_optional, async (req, res) => {
 
             send.social_options = {
                 can_send_friend_request:
+                    !blockedBy &&
                     !areAcquaintances &&
                     !areFriends &&
                     !areFavoriteFriends &&
@@ -77,7 +88,7 @@ router.get("/:id/public", authenticateToken_optional, async (req, res) => {
             };
             
             let instance = null;
-            if(Object.keys(clients).includes(id)) instance = 
+            if(send.presence.online) instance = 
                 (await GetInstances(clients[id].roomId))
                 .find(x => x.JoinCode == clients[id].joinCode);
 
@@ -89,7 +100,7 @@ router.get("/:id/public", authenticateToken_optional, async (req, res) => {
             }
     
             send.matchmaking_options = {
-                can_invite: Object.keys(clients).includes(id) &&
+                can_invite: send.presence.online &&
                     clients[req.user.id].joinCode != clients[id].joinCode,
                 can_go_to: 
                     public &&
@@ -138,8 +149,13 @@ router.get("/:id/edit", authenticateDeveloperToken, async (req, res) => {
 router.post("/:id/edit", authenticateDeveloperToken, async (req, res) => {
     var {id} = req.params;
 
+    // Keep the username index in sync with hand edited usernames.
+    if(typeof req.body?.public?.username == 'string' && req.body.public.username.length > 0)
+        req.body.username_lower = req.body.public.username.toLowerCase();
+
     try {
-        await PushPlayerData(id, req.body);
+        // Edits are based on the data from GET /:id/edit, so they are refused if the account changed since.
+        if(!await PushPlayerData(id, req.body)) return res.status(409).send("The account was changed since you loaded it. Please reload it and try again.");
         res.status(200).send();
     } catch {
         res.status(500).send();
@@ -148,15 +164,13 @@ router.post("/:id/edit", authenticateDeveloperToken, async (req, res) => {
 
 router.post("/nickname", middleware.authenticateToken, async (req, res) => {
     const { nickname } = req.body;
-    var data = await helpers.PullPlayerData(req.user.id);
 
     //Filter nickname
     if(check(nickname)) {
         helpers.auditLog(`Suspicious nickname change! ${req.user.id} attempted to change nickname to ${nickname}. Request permitted, but please review it.`);
     }
-    data.public.nickname = nickname;
 
-    await helpers.PushPlayerData(req.user.id, data);
+    await helpers.SetPlayerFields(req.user.id, {"public.nickname": nickname});
 
     helpers.auditLog(`${req.user.id} changed their nickname to ${nickname}`, false);
     return res.sendStatus(200);
@@ -165,16 +179,13 @@ router.post("/nickname", middleware.authenticateToken, async (req, res) => {
 router.post("/bio", middleware.authenticateToken, async (req, res) => {
     var { bio } = req.body;
 
-    var data = await helpers.PullPlayerData(req.user.id);
-
     if(regex.test(bio)) {
        helpers.auditLog(`Suspicious bio change! ${req.user.id} attempted to change bio to ${bio}. Request permitted, but please review it.`);
     }
 
     if(bio.length > 3000) return res.status(400).send("Bio is too long!");
 
-    data.public.bio = bio;
-    await helpers.PushPlayerData(req.user.id, data);
+    await helpers.SetPlayerFields(req.user.id, {"public.bio": bio});
 
     helpers.auditLog(`${req.user.id} changed their bio to ${bio}`, false);
 
@@ -188,9 +199,7 @@ router.post("/tag", middleware.authenticateToken, async (req, res) => {
      
     if(!data.private.availableTags.includes(tag)) return res.status(400).send("You do not have access to this tag!");
 
-    data.public.tag = tag;
-
-    await helpers.PushPlayerData(req.user.id, data);
+    await helpers.SetPlayerFields(req.user.id, {"public.tag": tag});
 
     res.sendStatus(200);
 });
@@ -199,11 +208,9 @@ router.post("/pronouns", middleware.authenticateToken, async (req, res) => {
     const {pronouns} = req.body;
     if(typeof pronouns != 'number') return res.status(400).send("You did not specify a pronoun to use.");
 
-    var data = await helpers.PullPlayerData(req.user.id);
     const array = ["He/Him", "She/Her", "They/Them", "He/they", "She/they", "He/she", "He/she/they", "Ask me"];
 
-    data.public.pronouns = array[pronouns];
-    await helpers.PushPlayerData(req.user.id, data);
+    await helpers.SetPlayerFields(req.user.id, {"public.pronouns": array[pronouns]});
     return res.status(200).send();
 });
 
@@ -223,15 +230,14 @@ router.post("/report", middleware.authenticateToken, async (req, res) => {
     if(reportingData.auth.reportedUsers.includes(target)) return res.status(400).send("You have already reported this user!");
     if(req.user.id === target) return res.status(403).send("You cannot report yourself.");
 
-    var data = await helpers.PullPlayerData(target);
-
-    data.auth.recievedReports.push(report);
-
-    await helpers.PushPlayerData(target, data);
+    // Claiming the report first stops two concurrent requests from filing it twice.
+    if(await helpers.UpdatePlayerData(req.user.id, {$push: {"auth.reportedUsers": target}}, {"auth.reportedUsers": {$ne: target}}) === null)
+        return res.status(400).send("You have already reported this user!");
 
-    reportingData.auth.reportedUsers.push(target);
-
-    await helpers.PushPlayerData(req.user.id, reportingData);
+    if(!await helpers.PushToPlayerArray(target, "auth.recievedReports", report)) {
+        await helpers.RemoveFromPlayerArray(req.user.id, "auth.reportedUsers", target);
+        return res.status(404).send("That user does not exist!");
+    }
 
     helpers.auditLog(`!MODERATION! User ${req.user.id} filed a report against user ${target} for the reason of ${reason}`, false);
      
@@ -258,39 +264,49 @@ router.post("/:id/ban", middleware.authenticateDeveloperToken, async (req, res)
 //Set a user's currency balance.
 router.post("/:id/currency/set", middleware.authenticateDeveloperToken, async (req, res) => {
     const { id } = req.params;
-    const { amount } = req.body;
-     
-    let data = await helpers.PullPlayerData(id);
-    if(data === null) return res.status(404).send("User not found!");
+    const { amount, currency } = req.body;
 
-    if(amount < 0) return res.status(400).send("Final currency amount cannot be less than 0.");
+    if(typeof amount != 'number' || !Number.isInteger(amount)) return res.status(400).send("Amount must be an integer.");
 
-    data.private.currency = amount;
+    const currencyData = await econ.GetCurrency(currency ?? econ.DEFAULT_CURRENCY);
+    if(currencyData === null) return res.status(404).send("Currency not found!");
+    if(amount < 0) return res.status(400).send("Final currency amount cannot be less than 0.");
+    if(typeof currencyData.max_balance == 'number' && amount > currencyData.max_balance) return res.status(400).send("Final currency amount cannot be more than the currency's maximum balance.");
 
-    await helpers.PushPlayerData(id, data);
+    try {
+        const transaction = await econ.SetPlayerCurrency(id, amount, req.user.id, currency ?? econ.DEFAULT_CURRENCY);
+        if(transaction === null) return res.status(404).send("User not found!");
 
-    helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} set user ${id}'s currency to ${amount}.`, false);
+        helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} set user ${id}'s ${currency ?? econ.DEFAULT_CURRENCY} currency to ${amount}.`, false);
 
-    res.status(200).send("Action successful.");
+        res.status(200).send("Action successful.");
+    } catch (ex) {
+        res.sendStatus(500);
+        throw ex;
+    }
 });
 
 //Modify a user's currency balance.
 router.post("/:id/currency/modify", middleware.authenticateDeveloperToken, async (req, res) => {
     const { id } = req.params;
-    const { amount } = req.body;
-     
-    let data = await helpers.PullPlayerData(id);
-    if(data === null) return res.status(404).send("User not found!");
+    const { amount, currency } = req.body;
 
-    if(!(data.private.currency + amount >= 0)) return res.status(400).send("Final currency amount cannot be less than 0.");
+    if(typeof amount != 'number' || !Number.isInteger(amount)) return res.status(400).send("Amount must be an integer.");
+    if(await econ.GetCurrency(currency ?? econ.DEFAULT_CURRENCY) === null) return res.status(404).send("Currency not found!");
 
-    data.private.currency += amount;
+    try {
+        if(await helpers.PullPlayerData(id) === null) return res.status(404).send("User not found!");
 
-    await helpers.PushPlayerData(id, data);
+        const transaction = await econ.ModifyPlayerCurrency(id, amount, req.user.id, currency ?? econ.DEFAULT_CURRENCY);
+        if(transaction === null) return res.status(400).send("Final currency amount cannot be less than 0 or more than the currency's maximum balance.");
 
-    helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} modified user ${id}'s currency balance by ${amount}, with a final balance of ${data.private.currency}.`, false);
+        helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} modified user ${id}'s ${currency ?? econ.DEFAULT_CURRENCY} currency balance by ${amount}, with a final balance of ${await econ.GetPlayerCurrency(id, currency ?? econ.DEFAULT_CURRENCY)}.`, false);
 
-    res.status(200).send("Action successful.");
+        res.status(200).send("Action successful.");
+    } catch (ex) {
+        res.sendStatus(500);
+        throw ex;
+    }
 });
 
 router.get("/search", async (req, res) => {
@@ -300,9 +316,6 @@ router.get("/search", async (req, res) => {
     if(typeof case_sensitive != 'string') case_sensitive = false;
     else case_sensitive = case_sensitive === 'true' ? true : false;
 
-    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
-    const all = await db.collection('accounts').find({}).toArray();
-
     switch (type) {
     case "username":
         type = "public.username";
@@ -318,18 +331,22 @@ router.get("/search", async (req, res) => {
         break;
     }
 
-    const fuse = new Fuse(all, {
-        includeScore: false,
-        keys: [type]
-    });
+    const pattern = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const filter = {_id: {$ne: "ACCT_TEMPLATE"}, "auth.deleted": {$ne: true}};
+    if(type === "public.username") {
+        // Anchored prefix matches on the lowercase username use its index.
+        filter.username_lower = {$regex: `^${pattern.toLowerCase()}`};
+        if(case_sensitive) filter[type] = {$regex: `^${pattern}`};
+    } else filter[type] = {$regex: pattern, $options: case_sensitive ? "" : "i"};
 
-    const fuseResult = fuse.search(query);
-     
-    var finalResults = [];
-    fuseResult.map((item) => {
-        finalResults.push(item.item._id);
-    });
-    return res.status(200).json(finalResults);
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const results = await db.collection('accounts')
+        .find(filter, {projection: {_id: 1}})
+        .sort(type === "public.username" ? {username_lower: 1} : {_id: 1})
+        .limit(50)
+        .toArray();
+
+    return res.status(200).json(results.map(account => account._id));
 });
 
 router.route("/:id/tags/:tag").
@@ -340,10 +357,7 @@ router.route("/:id/tags/:tag").
             const account = await helpers.PullPlayerData(id);
             if(account === null) return res.status(404).send({code: "user_not_found", message: "A user with that ID does not exist in our records."});
 
-            if(!account.private.availableTags.includes(tag)) {
-                account.private.availableTags.push(tag);
-                await helpers.PushPlayerData(id, account);
-            }
+            await helpers.AddToPlayerSet(id, "private.availableTags", tag);
 
             helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} added tag ${tag} to user ${id}.`, false);
             res.sendStatus(200);
@@ -360,8 +374,10 @@ router.route("/:id/tags/:tag").
             if(account === null) return res.status(404).send({code: "user_not_found", message: "A user with that ID does not exist in our records."});
 
             if(account.private.availableTags.includes(tag)) {
-                account.private.availableTags.splice(account.private.availableTags.indexOf(tag));
-                await helpers.PushPlayerData(id, account);
+                await helpers.RemoveFromPlayerArray(id, "private.availableTags", tag);
+
+                // The developer flag is baked into access tokens, so existing ones must be thrown away.
+                if(tag === "Developer") await helpers.InvalidatePlayerTokens(id, "permissions_changed");
             }
 
             helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} removed tag ${tag} from user ${id}.`, false);
@@ -389,24 +405,24 @@ router.post('/invite', middleware.authenticateToken, async (req, res) => {
     if(!Object.keys(clients).includes(req.user.id)) return res.status(400).send({code: "self_not_online", message: "You are not currently in-game."});
     const data = await helpers.PullPlayerData(id);
     if(data === null) return res.status(404).send({code: "player_not_found", message: "That player does not exist."});
+    if(await helpers.IsEitherPlayerBlocked(req.user.id, id)) return res.status(403).send({code: "player_blocked", message: "You cannot invite this player."});
+    // Players appearing offline, or hiding their presence from this player, cannot be invited either.
+    if(!helpers.GetVisiblePresence(data, req.user.id).online) return res.status(400).send({code: "player_not_online", message: "That player is not online. Please try again later."});
 
     // the joinCode to allow the client to join the room is privellaged information,
     // and should NEVER be sent unless we want the client to join a room.
-    const notification = {
-        template: "invite",
-        parameters: {
-            sendingPlayer: req.user.id,
-            headerText: "Invite Recieved",
-            bodyText: `@${self.public.username} has invited you to play with them!`,
-            cancelText: "Decline",
-            continueText: "Accept",
-            sentAt: Date.now().toString()
-        }
+    const parameters = {
+        sendingPlayer: req.user.id,
+        headerText: "Invite Recieved",
+        bodyText: `@${self.public.username} has invited you to play with them!`,
+        cancelText: "Decline",
+        continueText: "Accept",
+        sentAt: Date.now().toString()
     };
 
-    if(data.notifications.findIndex(item => item.template === 'invite' && item.parameters.sendingPlayer === req.user.id) === -1) {
-        data.notifications.push(notification);
-        await helpers.PushPlayerData(id, data);
+    const invited = await CreateNotification(id, "invite", parameters, {template: "invite", "parameters.sendingPlayer": req.user.id});
+
+    if(invited !== null) {
         var send = WebSocketV2_MessageTemplate;
         send.code = "standard_notification_recieved";
         send.data = {};
@@ -451,9 +467,7 @@ router.post('/set-pfp/:id', middleware.authenticateToken, async (req, res) => {
             message: "You did not take this photo, so you cannot use it as your profile picture."
         });
 
-        var data = await PullPlayerData(req.user.id);
-        data.public.profile_picture_id = id;
-        await PushPlayerData(req.user.id, data);
+        await helpers.SetPlayerFields(req.user.id, {"public.profile_picture_id": id});
 
         res.status(200).json({
             code: "success",
@@ -467,4 +481,130 @@ router.post('/set-pfp/:id', middleware.authenticateToken, async (req, res) => {
         throw ex;
     }
 });
+router.route('/me/presence')
+    .get(middleware.authenticateToken, async (req, res) => {
+        const data = await helpers.PullPlayerData(req.user.id);
+        return res.status(200).json(helpers.GetPresenceSettings(data));
+    })
+    .post(middleware.authenticateToken, async (req, res) => {
+        try {
+            var { visibility, appear_offline, status } = req.body;
+            const fields = {};
+
+            if(typeof visibility != 'undefined') {
+                if(!helpers.PRESENCE_VISIBILITIES.includes(visibility)) return res.status(400).json({
+                    code: "invalid_visibility",
+                    message: `Parameter \`visibility\` must be one of ${helpers.PRESENCE_VISIBILITIES.join(", ")}.`
+                });
+                fields["private.presence.visibility"] = visibility;
+            }
+
+            if(typeof appear_offline != 'undefined') {
+                if(typeof appear_offline != 'boolean') return res.status(400).json({
+                    code: "invalid_input",
+                    message: "Parameter `appear_offline` must be a boolean."
+                });
+                fields["private.presence.appear_offline"] = appear_offline;
+            }
+
+            if(typeof status != 'undefined') {
+                if(status !== null && (typeof status != 'string' || status.length > 128)) return res.status(400).json({
+                    code: "invalid_status",
+                    message: "Parameter `status` must be a string of at most 128 characters, or null to clear it."
+                });
+                if(typeof status == 'string' && check(status)) {
+                    helpers.auditLog(`Suspicious status change! ${req.user.id} attempted to change their status to ${status}. Request permitted, but please review it.`);
+                }
+                fields["private.presence.status"] = status;
+            }
+
+            if(Object.keys(fields).length < 1) return res.status(400).json({
+                code: "invalid_input",
+                message: "Specify at least one of `visibility`, `appear_offline` or `status`."
+            });
+
+            // Friends who gain or lose sight of this player are told straight away.
+            const WebSocketServerV2 = require('./ws/WebSocketServerV2');
+            const audience = WebSocketServerV2.GetPresenceAudience(await helpers.PullPlayerData(req.user.id));
+
+            await helpers.SetPlayerFields(req.user.id, fields);
+            await WebSocketServerV2.AnnouncePresenceChange(req.user.id, audience);
+
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+router.get('/me/export', dataExportLimit, middleware.authenticateToken, async (req, res) => {
+    try {
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+        const data = await PullPlayerData(req.user.id);
+        if (data === null) return res.status(404).json({
+            code: "account_not_found",
+            message: "Your account could not be found."
+        });
+
+        const images = await db.collection("images").find({ 'takenBy.id': { $eq: req.user.id } }).toArray();
+        const messages = await db.collection("messages").find({ author: { $eq: req.user.id } }).toArray();
+        const rooms = await db.collection("rooms").find({ creator_id: { $eq: req.user.id } }).toArray();
+        const room_audit = await db.collection("room_audit").find({ room_id: { $in: rooms.map(room => room._id) } }).toArray();
+        const notifications = await db.collection("notifications").find({ user_id: { $eq: req.user.id } }).sort({ created_at: 1 }).toArray();
+        const sessions = await helpers.GetSessions(req.user.id);
+
+        const archive = {
+            exported_at: new Date().toISOString(),
+            account_id: req.user.id,
+            public: data.public,
+            private: data.private,
+            settings: data.settings ?? {},
+            econ: data.econ,
+            notifications: notifications,
+            // Only personal account details, never password hashes, 2FA secrets or reports filed by other players.
+            auth: {
+                username: data.auth.username,
+                previous_usernames: data.auth.previous_usernames ?? [],
+                email: data.auth.email ?? null,
+                email_verified: data.auth.email_verified === true,
+                mfa_enabled: data.auth.mfa_enabled,
+                mfa_provider: data.auth.mfa_provider ?? null,
+                bans: data.auth.bans,
+                deletion_scheduled_for: data.auth.deletion_scheduled_for ?? null
+            },
+            login_history: (data.auth.logins ?? []).map(login => ({
+                success: login.SUCCESS,
+                ip: login.IP,
+                time: login.TIME,
+                hwid: login.HWID
+            })),
+            sessions: sessions,
+            images: images,
+            messages: messages,
+            rooms: rooms.map(room => ({
+                ...room,
+                audit_log: room_audit.filter(event => event.room_id === room._id)
+            }))
+        };
+
+        helpers.auditLog(`User ${req.user.id} exported their account data from ${req.ip}.`, false);
+
+        res.setHeader('Content-Disposition', `attachment; filename="account-${req.user.id}-export.json"`);
+        return res.status(200).json(archive);
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we were unable to export your data. Please try again later."
+        });
+        throw ex;
+    }
+});
+
 module.exports = router;
@@ -4,17 +4,13 @@ const helpers = require('../helpers');
 const middleware = require('../middleware');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { PullPlayerData, check, PushPlayerData} = require('../helpers');
+const { PullPlayerData, check} = require('../helpers');
 const config = require('../config.json');
+const mfa = require('../providers/mfa');
+const { SendMail, IsMailEnabled } = require('../providers/mail');
 
 const {default: rateLimit} = require('express-rate-limit');
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const client = (accountSid !== undefined && authToken !== undefined)
-    ? require('twilio')(accountSid, authToken)
-    : null;
-
 // Users can only create `max` accounts per `windowMs`.
 const accountCreationLimit = rateLimit({
     'windowMs': config.ratelimit_registration_window,
@@ -50,25 +46,21 @@ router.get('/photon-info', async (req, res) => {
 });
 
 router.post('/enable-2fa', middleware.authenticateToken, async (req, res) => {
-    if (!client) return res.status(503).send("MFA is not available on this server.");
+    const provider = mfa.GetEnrollmentProvider();
+    if (provider === null || !provider.isAvailable()) return res.status(503).send("MFA is not available on this server.");
 
     try {
         const data = await helpers.PullPlayerData(req.user.id);
         if(data.auth.mfa_enabled || data.auth.mfa_enabled === "unverified") return res.status(400).send("Two factor authentication is already enabled on this account!");
 
-        client.verify.services(process.env.TWILIO_SERVICE_SID)
-            .entities(`COMPENSATION-VR-ACCOUNT-ID-${req.user.id}`)
-            .newFactors
-            .create({
-                friendlyName: `${data.public.username}`,
-                factorType: 'totp'
-            })
-            .then(async new_factor => {
-                res.status(200).send(new_factor.binding);
-                data.auth.mfa_enabled = "unverified";
-                data.auth.mfa_factor_sid = new_factor.sid;
-                await helpers.PushPlayerData(req.user.id, data);
-            });
+        const binding = await provider.enroll(req.user.id, data);
+
+        data.auth.mfa_enabled = "unverified";
+        data.auth.mfa_provider = provider.name;
+        if(!await helpers.PushPlayerData(req.user.id, data)) return res.status(409).send("Your account was changed while enrolling. Please try again.");
+
+        helpers.auditLog(`User ${req.user.id} began enrolling in two factor authentication using provider ${provider.name}.`, false);
+        return res.status(200).send(binding);
     }
     catch (ex) {
         res.status(500).send("Failed to enable MFA.");
@@ -77,24 +69,37 @@ router.post('/enable-2fa', middleware.authenticateToken, async (req, res) => {
 });
 
 router.post('/verify-2fa', middleware.authenticateToken, async (req, res) => {
-    if (!client) return res.status(503).send("MFA is not available on this server.");
-
     var {code} = req.body;
     if(typeof code != 'string') return res.status(400).send("Your 2FA code is undefined or is not a string. Check your Content-Type header and request body.");
 
-    var _data = await PullPlayerData(req.user.id);
-    if(_data.auth.mfa_enabled != 'unverified') return res.status(400).send("Your account is not currently awaiting verification.");
+    var data = await PullPlayerData(req.user.id);
+    if(data.auth.mfa_enabled != 'unverified') return res.status(400).send("Your account is not currently awaiting verification.");
+
+    const provider = mfa.GetAccountProvider(data);
+    if (provider === null || !provider.isAvailable()) return res.status(503).send("MFA is not available on this server.");
 
-    Verify2faUser(req.user.id, code, async success => {
-        if(success) {
-            var data = await helpers.PullPlayerData(req.user.id);
-            data.auth.mfa_enabled = true;
-            await helpers.PushPlayerData(req.user.id, data);
+    try {
+        if(!await provider.verifyEnrollment(req.user.id, data, code)) return res.status(401).send("Failed to verify code. Please double check you entered a fully up to date token.");
+
+        // Providers claim codes in the database, so only the fields changed here are written.
+        const recovery_codes = mfa.GenerateRecoveryCodes(data);
+        const enabled = await helpers.UpdatePlayerData(
+            req.user.id,
+            {$set: {"auth.mfa_enabled": true, "auth.mfa_recovery_codes": data.auth.mfa_recovery_codes}},
+            {"auth.mfa_enabled": "unverified", "auth.mfa_provider": data.auth.mfa_provider}
+        );
+        if(enabled === null) return res.status(409).send("Your account was changed while verifying. Please try again.");
 
-            return res.sendStatus(200);
-        }
-        else return res.status(401).send("Failed to verify code. Please double check you entered a fully up to date token.");
-    });
+        helpers.auditLog(`User ${req.user.id} enabled two factor authentication using provider ${provider.name}.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "Two factor authentication is now enabled. Store your recovery codes somewhere safe, they will not be shown again.",
+            recovery_codes: recovery_codes
+        });
+    } catch (ex) {
+        res.status(500).send("Failed to verify MFA.");
+        throw ex;
+    }
 });
 
 router.post('/remove-2fa', middleware.authenticateToken, async (req, res) => {
@@ -102,196 +107,434 @@ router.post('/remove-2fa', middleware.authenticateToken, async (req, res) => {
 
     if(!data.auth.mfa_enabled) return res.status(400).send("Your account does not have 2FA enabled or pending.");
 
+    const provider = mfa.GetAccountProvider(data);
+    if (provider !== null) await provider.remove(req.user.id, data);
+
     data.auth.mfa_enabled = false;
-    data.auth.mfa_factor_sid = "undefined";
+    delete data.auth.mfa_provider;
+    delete data.auth.mfa_recovery_codes;
 
-    await helpers.PushPlayerData(req.user.id, data);
+    if(!await helpers.PushPlayerData(req.user.id, data)) return res.status(409).send("Your account was changed while removing 2FA. Please try again.");
+
+    helpers.auditLog(`User ${req.user.id} removed two factor authentication from their account.`, false);
     res.sendStatus(200);
 });
 
-//Call to get a token from user account credentials.
-router.post("/login", async (req, res) => {
-    //so first things first we need to check the username and password
-    //and if those are correct we generate a token
+router.post('/regenerate-recovery-codes', middleware.authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (typeof code != 'string') return res.status(400).json({
+            code: "missing_parameter",
+            message: "You did not specify a current 2FA code."
+        });
 
-    const { username, password, two_factor_code, hwid} = req.body;
+        let data = await PullPlayerData(req.user.id);
+        if (data.auth.mfa_enabled !== true) return res.status(400).json({
+            code: "mfa_not_enabled",
+            message: "Your account does not have 2FA enabled."
+        });
 
-    if (two_factor_code !== undefined) return res.status(400).send({message: "2FA is not supported on this server."});
+        const provider = mfa.GetAccountProvider(data);
+        if (provider === null || !provider.isAvailable()) return res.status(503).json({
+            code: "mfa_unavailable",
+            message: "MFA is not available on this server."
+        });
 
-    const userID = await helpers.getUserID(username);
-    if(userID === null) return res.status(404).send({message: "User not found!", failureCode: "5"});
+        if (await provider.verify(req.user.id, data, code) !== 'approved') return res.status(401).json({
+            code: "invalid_code",
+            message: "Your 2FA code was incorrect or has expired."
+        });
 
-    //now we read the correct user file for the authorization data
-    const data = await helpers.PullPlayerData(userID);
+        const recovery_codes = mfa.GenerateRecoveryCodes(data);
+        await helpers.SetPlayerFields(req.user.id, {"auth.mfa_recovery_codes": data.auth.mfa_recovery_codes});
 
+        helpers.auditLog(`User ${req.user.id} regenerated their 2FA recovery codes.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "Your previous recovery codes are no longer valid.",
+            recovery_codes: recovery_codes
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
 
-    const { HASHED_PASSWORD } = data.auth;
+//Call to get a token from user account credentials.
+router.post("/login", async (req, res) => {
+    try {
+        //so first things first we need to check the username and password
+        //and if those are correct we generate a token
 
-    const passwordMatches = bcrypt.compareSync(password, HASHED_PASSWORD);
+        const { username, password, two_factor_code, recovery_code, hwid} = req.body;
 
-    if(!passwordMatches) {
-        if(typeof data.auth.logins != 'object') data.auth.logins = [];
-        const attempt = {
-            SUCCESS: false,
-            IP: req.ip,
-            TIME: Date.now(),
-            HWID: hwid,
-            TWO_FACTOR_CODE: two_factor_code
-        };
-        if(data.auth.logins.length < config.max_logged_logins) {
-            data.auth.logins.push(attempt);
-            await helpers.PushPlayerData(userID, data);
-        }
-        return res.status(403).send({message: "Incorrect password!", failureCode: "6"});
-    }
+        const userID = await helpers.getUserID(username);
 
-    for (let index = 0; index < data.auth.bans.length; index++) {
-        const element = data.auth.bans[index];
-          
-        if(element.endTS > Date.now()) {
-            if(typeof data.auth.logins != 'object') data.auth.logins = [];
-            const attempt = {
-                SUCCESS: false,
-                IP: req.ip,
-                TIME: Date.now(),
-                HWID: hwid,
-                TWO_FACTOR_CODE: two_factor_code
-            };
-            if(data.auth.logins.length < config.max_logged_logins) {
-                data.auth.logins.push(attempt);
-                // eslint-disable-next-line no-await-in-loop
-                await helpers.PushPlayerData(userID, data);
-            }
-            return res.status(403).send({
-                message: "USER IS BANNED", 
-                endTimeStamp: element.endTS, 
-                reason: element.reason,
-                failureCode: "7"
+        const throttle = await GetLoginThrottle(userID, req.ip);
+        if(throttle.locked_until > 0) return res.status(403).send({
+            message: "Too many failed login attempts. Logging in has been temporarily locked, please try again later.",
+            lockedUntil: throttle.locked_until,
+            failureCode: "9"
+        });
+        if(throttle.retry_at > Date.now()) {
+            res.setHeader("Retry-After", Math.ceil((throttle.retry_at - Date.now()) / 1000));
+            return res.status(429).send({
+                message: "Too many failed login attempts. Please wait before trying again.",
+                retryAt: throttle.retry_at,
+                failureCode: "10"
             });
         }
-    }
-     
-    //User is authenticated, generate and send token.
 
-    const developer = data.private.availableTags.includes("Developer");
+        if(userID === null) {
+            await RecordLoginFailure(null, null, req.ip);
+            return res.status(404).send({message: "User not found!", failureCode: "5"});
+        }
 
-    const user = {username: username, id: userID, developer: developer};
+        //now we read the correct user file for the authorization data
+        const data = await helpers.PullPlayerData(userID);
 
-    const accessToken = jwt.sign(user, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "30m" });
 
-    if(typeof data.auth.mfa_enabled == 'boolean' && !data.auth.mfa_enabled) {
-        const attempt = {
-            SUCCESS: true,
-            IP: req.ip,
-            TIME: Date.now(),
-            HWID: hwid,
-            TWO_FACTOR_CODE: two_factor_code
-        };
-        if(data.auth.logins.length < config.max_logged_logins) {
-            data.auth.logins.push(attempt);
-            await helpers.PushPlayerData(userID, data);
-        }
+        const { HASHED_PASSWORD } = data.auth;
 
-        const mongo = require('../index').mongoClient;
-        const coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
-        coll.insertOne({
-            date_time: new Date(),
-            type: "LOGIN"
-        });
-        return res.status(200).json({ userID: userID, username: username, accessToken: accessToken, developer: developer});
-    }
+        const passwordMatches = bcrypt.compareSync(password, HASHED_PASSWORD);
 
-    if(typeof data.auth.mfa_enabled == 'string' && data.auth.mfa_enabled === 'unverified') {
-        if(typeof data.auth.logins != 'object') data.auth.logins = [];
-        const attempt = {
-            SUCCESS: true,
-            IP: req.ip,
-            TIME: Date.now(),
-            HWID: hwid,
-            TWO_FACTOR_CODE: two_factor_code
-        };
-        if(data.auth.logins.length < config.max_logged_logins) {
-            data.auth.logins.push(attempt);
-            await helpers.PushPlayerData(userID, data);
+        if(!passwordMatches) {
+            await RecordLoginAttempt(userID, req, false);
+            await RecordLoginFailure(userID, data, req.ip);
+            return res.status(403).send({message: "Incorrect password!", failureCode: "6"});
         }
 
-        const mongo = require('../index').mongoClient;
-        const coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
-        coll.insertOne({
-            date_time: new Date(),
-            type: "LOGIN"
-        });
-
-        if(developer) return res.status(200).json({ message: "As a developer, your account has a large amount of control and permissions.\nTherefore, it is very important you secure your account.\nPlease enable Two-Factor Authentication at your next convenience.", userID: userID, username: username, accessToken: accessToken, developer: developer});
-        else return res.status(200).json({ userID: userID, username: username, accessToken: accessToken, developer: developer});
-    }
-
-    if(typeof two_factor_code != 'string') {
-        if(typeof data.auth.logins != 'object') data.auth.logins = [];
-        const attempt = {
-            SUCCESS: false,
-            IP: req.ip,
-            TIME: Date.now(),
-            HWID: hwid,
-            TWO_FACTOR_CODE: two_factor_code
-        };
-        if(data.auth.logins.length < config.max_logged_logins) {
-            data.auth.logins.push(attempt);
-            await helpers.PushPlayerData(userID, data);
+        for (let index = 0; index < data.auth.bans.length; index++) {
+            const element = data.auth.bans[index];
+          
+            if(element.endTS > Date.now()) {
+                // eslint-disable-next-line no-await-in-loop
+                await RecordLoginAttempt(userID, req, false);
+                return res.status(403).send({
+                    message: "USER IS BANNED", 
+                    endTimeStamp: element.endTS, 
+                    reason: element.reason,
+                    failureCode: "7"
+                });
+            }
         }
-        if(typeof hwid != 'string') return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
+     
+        //User is authenticated, generate and send token.
+
+        const developer = data.private.availableTags.includes("Developer");
+
+        // Sessions are only created once every factor has been checked.
+        const issueTokens = async () => {
+            await ClearLoginFailures(userID);
+            const { session_id, refresh_token } = await helpers.CreateSession(userID, req.ip, hwid);
+            // Login rewards should never hold up or break a login.
+            require('./rewards').RecordLogin(userID).catch(console.error);
+            return {
+                userID: userID,
+                username: username,
+                accessToken: SignAccessToken(userID, username, developer, session_id, data.auth.token_version),
+                refreshToken: refresh_token,
+                developer: developer,
+                deletionScheduledFor: data.auth.deletion_scheduled_for ?? null
+            };
+        };
 
-        if(data.auth.multi_factor_authenticated_logins.length < 1) return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
+        if(typeof data.auth.mfa_enabled == 'boolean' && !data.auth.mfa_enabled) {
+            await RecordLoginAttempt(userID, req, true);
 
-        const MatchingLogins = data.auth.multi_factor_authenticated_logins.filter(item => {
-            // Return   IP match (include proxies)        HWID match    Less than 30 days since MFA login
-            return item.ips === req.ips && item.hwid === hwid && Date.now() < item.timestamp + 2592000000;
-        });
+            const mongo = require('../index').mongoClient;
+            const coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
+            coll.insertOne({
+                date_time: new Date(),
+                type: "LOGIN"
+            });
+            return res.status(200).json(await issueTokens());
+        }
 
+        if(typeof data.auth.mfa_enabled == 'string' && data.auth.mfa_enabled === 'unverified') {
+            await RecordLoginAttempt(userID, req, true);
 
-        if (MatchingLogins.length > 0) {
             const mongo = require('../index').mongoClient;
             const coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
             coll.insertOne({
                 date_time: new Date(),
                 type: "LOGIN"
             });
-            return res.status(200).json({ userID: userID, username: username, accessToken: accessToken, developer: developer });
+
+            if(developer) return res.status(200).json({ message: "As a developer, your account has a large amount of control and permissions.\nTherefore, it is very important you secure your account.\nPlease enable Two-Factor Authentication at your next convenience.", ...await issueTokens()});
+            else return res.status(200).json(await issueTokens());
         }
 
-        return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
-    }
+        if(typeof two_factor_code != 'string' && typeof recovery_code != 'string') {
+            await RecordLoginAttempt(userID, req, false);
+            if(typeof hwid != 'string') return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
+
+            if(data.auth.multi_factor_authenticated_logins.length < 1) return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
+
+            const MatchingLogins = data.auth.multi_factor_authenticated_logins.filter(item => {
+                // Return   IP match (include proxies)        HWID match    Less than 30 days since MFA login
+                return item.ips === req.ips && item.hwid === hwid && Date.now() < item.timestamp + 2592000000;
+            });
+
+
+            if (MatchingLogins.length > 0) {
+                const mongo = require('../index').mongoClient;
+                const coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
+                coll.insertOne({
+                    date_time: new Date(),
+                    type: "LOGIN"
+                });
+                return res.status(200).json(await issueTokens());
+            }
+
+            return res.status(400).send({message: "You have 2FA enabled on your account but you did not specify a valid 2 Factor Authentication token.", failureCode: "1"});
+        }
+
+        const status = await VerifySecondFactor(userID, data, two_factor_code, recovery_code);
 
-    Verify2faCode(userID, two_factor_code, async status => {
         switch(status) {
+        case 'unavailable':
+            return res.status(503).send({message: "2FA is not available on this server.", failureCode: "8"});
         case 'approved':
-            if(typeof hwid != 'string') return res.status(200).json({ userID: userID, username: username, accessToken: accessToken, developer: developer});
-            var login = {
+            if(typeof hwid != 'string') return res.status(200).json(await issueTokens());
+
+            await helpers.PushToPlayerArray(userID, "auth.multi_factor_authenticated_logins", {
                 ips: req.ips,
                 hwid: hwid,
                 timestamp: Date.now()
-            };
-            data.auth.multi_factor_authenticated_logins.push(login);
-            await helpers.PushPlayerData(userID, data);
-                
+            });
+            
             var mongo = require('../index').mongoClient;
             var coll = mongo.db(process.env.MONGOOSE_DATABASE_NAME).collection("analytics");
             coll.insertOne({
                 date_time: new Date(),
                 type: "LOGIN"
             });
-            return res.status(200).json({ userID: userID, username: username, accessToken: accessToken, developer: developer});
+            return res.status(200).json(await issueTokens());
         case 'denied':
+            await RecordLoginFailure(userID, data, req.ip);
             return res.status(401).send({message: "2FA Denied.", failureCode: "2"});
         case 'expired':
+            await RecordLoginFailure(userID, data, req.ip);
             return res.status(401).send({message: "2FA Code Outdated", failureCode: "3"});
         case 'pending':
             return res.status(400).send({message: "2FA Denied.", failureCode: "4"});
         }
-    });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
 });
 
-router.post("/refresh", middleware.authenticateToken, async (req, res) => {
+/**
+ * @typedef LoginThrottleConfig
+ * @property {Number} window How long failures are remembered after the most recent one, in milliseconds.
+ * @property {Number} backoff_after How many failures are allowed before delays start.
+ * @property {Number} backoff_base The delay after the first failure past `backoff_after`, doubled for every failure after that.
+ * @property {Number} backoff_max The longest delay between attempts, in milliseconds.
+ * @property {Number} account_lockout_after How many failures against one account lock it.
+ * @property {Number} ip_lockout_after How many failures from one IP address lock it.
+ * @property {Number} lockout_duration How long a lockout lasts, in milliseconds.
+ */
+
+/**
+ * @type {LoginThrottleConfig}
+ */
+const loginThrottle = {
+    window: 15 * 60 * 1000,
+    backoff_after: 3,
+    backoff_base: 1000,
+    backoff_max: 60 * 1000,
+    account_lockout_after: 10,
+    ip_lockout_after: 50,
+    lockout_duration: 15 * 60 * 1000,
+    ...config.login_throttle
+};
+
+/**
+ * Appends an entry to an account's login history, keeping only the most recent `config.max_logged_logins` entries.
+ * @param {String} user_id The ID of the account.
+ * @param {import('express').Request} req The login request.
+ * @param {Boolean} success Whether or not the attempt succeeded.
+ */
+async function RecordLoginAttempt(user_id, req, success) {
+    const { hwid, two_factor_code } = req.body;
+
+    await helpers.UpdatePlayerData(user_id, {
+        $push: {
+            "auth.logins": {
+                $each: [{
+                    SUCCESS: success,
+                    IP: req.ip,
+                    TIME: Date.now(),
+                    HWID: hwid,
+                    TWO_FACTOR_CODE: two_factor_code
+                }],
+                $slice: -config.max_logged_logins
+            }
+        }
+    });
+}
+
+/**
+ * Checks whether login attempts for an account or from an IP address are currently locked or delayed.
+ * @param {String|null} user_id The ID of the account being logged into, if it exists.
+ * @param {String} ip The IP address of the request.
+ * @returns {Promise<{locked_until: Number, retry_at: Number}>} When the lockout ends (0 if not locked), and when the next attempt is allowed.
+ */
+async function GetLoginThrottle(user_id, ip) {
+    const collection = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("login_failures");
+
+    const keys = [`ip:${ip}`];
+    if (user_id !== null) keys.push(`account:${user_id}`);
+
+    const now = Date.now();
+    const counters = await collection.find({ _id: { $in: keys }, expires_at: { $gt: new Date(now) } }).toArray();
+
+    let locked_until = 0;
+    let retry_at = 0;
+    for (const counter of counters) {
+        if (counter.locked_until > now) locked_until = Math.max(locked_until, counter.locked_until);
+
+        if (counter.count >= loginThrottle.backoff_after) {
+            const delay = Math.min(loginThrottle.backoff_max, loginThrottle.backoff_base * 2 ** (counter.count - loginThrottle.backoff_after));
+            retry_at = Math.max(retry_at, counter.last_failure_at + delay);
+        }
+    }
+
+    return { locked_until: locked_until, retry_at: retry_at };
+}
+
+/**
+ * Increments a failure counter, locking it once it reaches its threshold.
+ * @param {String} key The counter to increment, `account:<id>` or `ip:<address>`.
+ * @param {Number} lockout_after The threshold at which the counter locks.
+ * @returns {Promise<Boolean>} Whether this failure caused a new lockout.
+ */
+async function IncrementLoginFailures(key, lockout_after) {
+    const collection = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("login_failures");
+    const now = Date.now();
+
+    const result = await collection.findOneAndUpdate(
+        { _id: { $eq: key } },
+        {
+            $inc: { count: 1 },
+            $set: { last_failure_at: now, expires_at: new Date(now + loginThrottle.window) }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    if (result.value.count < lockout_after) return false;
+
+    // Only one concurrent request may start the lockout, so the owner is only notified once.
+    const lock = await collection.updateOne(
+        {
+            _id: { $eq: key },
+            $or: [{ locked_until: { $exists: false } }, { locked_until: { $lte: now } }]
+        },
+        {
+            $set: {
+                count: 0,
+                locked_until: now + loginThrottle.lockout_duration,
+                expires_at: new Date(now + loginThrottle.lockout_duration + loginThrottle.window)
+            }
+        }
+    );
+    return lock.modifiedCount > 0;
+}
+
+/**
+ * Records a failed login against the account and the IP address, and alerts the owner if the account became locked.
+ * @param {String|null} user_id The ID of the account, or null if the username did not exist.
+ * @param {Object|null} data The account data, or null if the username did not exist.
+ * @param {String} ip The IP address of the request.
+ */
+async function RecordLoginFailure(user_id, data, ip) {
+    if (await IncrementLoginFailures(`ip:${ip}`, loginThrottle.ip_lockout_after))
+        helpers.auditLog(`!! SECURITY !! IP address ${ip} has been locked out of logging in for ${loginThrottle.lockout_duration / 60000} minutes after ${loginThrottle.ip_lockout_after} failed attempts.`, false);
+
+    if (user_id === null) return;
+    if (!await IncrementLoginFailures(`account:${user_id}`, loginThrottle.account_lockout_after)) return;
+
+    helpers.auditLog(`!! SECURITY !! Account ${user_id} has been locked for ${loginThrottle.lockout_duration / 60000} minutes after ${loginThrottle.account_lockout_after} failed login attempts. Most recent attempt from ${ip}.`, false);
+
+    // A mail or notification outage must never block or fail the login request.
+    SendLockoutAlert(user_id, data).catch(console.error);
+}
+
+/**
+ * Tells a player that their account has been locked, in-game and by email if they have a verified address.
+ * @param {String} user_id The ID of the account.
+ * @param {Object} data The account's data.
+ */
+async function SendLockoutAlert(user_id, data) {
+    const body = `There were ${loginThrottle.account_lockout_after} failed attempts to log into your account, so logging in has been locked for ${loginThrottle.lockout_duration / 60000} minutes. If this wasn't you, consider changing your password and enabling two-factor authentication.`;
+    await helpers.NotifyPlayer(user_id, "securityAlert", {
+        headerText: "Security Alert",
+        bodyText: body,
+        cancelText: "OK",
+        continueText: "OK"
+    });
+    if (data.auth.email_verified === true && typeof data.auth.email == 'string')
+        await SendMail(data.auth.email, "Your account has been temporarily locked", `Hi @${data.public.username},\n\n${body}`);
+}
+
+/**
+ * Clears the failure counter of an account after a successful login.
+ * @param {String} user_id The ID of the account.
+ */
+async function ClearLoginFailures(user_id) {
+    const collection = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("login_failures");
+    await collection.deleteOne({ _id: { $eq: `account:${user_id}` } });
+}
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Requests without a refresh token fall through to the legacy access token based refresh below.
+router.post("/refresh", async (req, res, next) => {
+    const { refresh_token } = req.body;
+    if (typeof refresh_token != 'string') return next();
+
+    try {
+        const { success, reason, session, refresh_token: new_refresh_token } = await helpers.RotateSession(refresh_token, req.ip);
+        if (!success) return res.status(401).json({
+            code: reason,
+            message: "Your session is invalid or has expired. Please log in again."
+        });
+
+        const data = await helpers.PullPlayerData(session.user_id);
+        if (data === null) return res.status(401).json({
+            code: "invalid_token",
+            message: "Your session is invalid or has expired. Please log in again."
+        });
+
+        for (let index = 0; index < data.auth.bans.length; index++) {
+            const element = data.auth.bans[index];
+              
+            if(element.endTS > Date.now()) return res.status(403).send({
+                message: "USER IS BANNED", 
+                endTimeStamp: element.endTS, 
+                reason: element.reason,
+                failureCode: "7"
+            });
+        }
+
+        const developer = data.private.availableTags.includes("Developer");
+        const accessToken = SignAccessToken(session.user_id, data.public.username, developer, session._id, data.auth.token_version);
+
+        return res.status(200).json({ userID: session.user_id, username: data.public.username, accessToken: accessToken, refreshToken: new_refresh_token });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+}, middleware.authenticateToken, async (req, res) => {
     const data = await helpers.PullPlayerData(req.user.id);
 
     for (let index = 0; index < data.auth.bans.length; index++) {
@@ -307,24 +550,94 @@ router.post("/refresh", middleware.authenticateToken, async (req, res) => {
 
     const developer = data.private.availableTags.includes("Developer");
 
-    const user = {username: data.public.username, id: req.user.id, developer: developer};
-
-    const accessToken = jwt.sign(user, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "30m" });
+    const accessToken = SignAccessToken(req.user.id, data.public.username, developer, req.user.sid, data.auth.token_version);
     return res.status(200).json({ userID: req.user.id, username: data.public.username, accessToken: accessToken});
 });
 
+router.route("/sessions")
+    .get(middleware.authenticateToken, async (req, res) => {
+        try {
+            const sessions = await helpers.GetSessions(req.user.id);
+
+            return res.status(200).json(sessions.map(session => {
+                return {
+                    _id: session._id,
+                    ip: session.ip,
+                    hwid: session.hwid,
+                    created_at: session.created_at,
+                    last_used_at: session.last_used_at,
+                    expires_at: session.expires_at,
+                    current: session._id === req.user.sid
+                };
+            }));
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal server error occurred and we could not process your request."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateToken, async (req, res) => {
+        try {
+            const { except_current } = req.query;
+
+            const count = await helpers.RevokeAllSessions(req.user.id, except_current === 'true' ? req.user.sid : null);
+
+            helpers.auditLog(`User ${req.user.id} revoked ${count} of their sessions.`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful.",
+                revoked: count
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal server error occurred and we could not process your request."
+            });
+            throw ex;
+        }
+    });
+
+router.delete("/sessions/:session_id", middleware.authenticateToken, async (req, res) => {
+    try {
+        const { session_id } = req.params;
+
+        if (!await helpers.RevokeSession(req.user.id, session_id)) return res.status(404).json({
+            code: "session_not_found",
+            message: "You have no active session with that ID."
+        });
+
+        helpers.auditLog(`User ${req.user.id} revoked session ${session_id}.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
 //Call to create an account from a set of credentials.
 router.post("/create", accountCreationLimit, async (req, res) => {
     var { username, nickname, password } = req.body;
-    const id = `${await helpers.getAccountCount() + 1}`;
 
     if(typeof username != 'string' || typeof password != 'string') return res.status(400).send("Username or password empty or null.");
     if(typeof nickname != 'string') nickname = username;
 
+    const failed_rules = helpers.CheckPasswordPolicy(password, username);
+    if(failed_rules.length > 0) return SendPasswordPolicyViolation(res, failed_rules);
+
     const dupe = await helpers.getUserID(username);
 
     if(dupe !== null) return res.status(400).send("Account already exists with that username. Please choose a different username.");
 
+    const id = await helpers.AllocateAccountID();
+
     const data = await helpers.PullPlayerData("ACCT_TEMPLATE");
 
     if(check(nickname)) {
@@ -344,12 +657,21 @@ router.post("/create", accountCreationLimit, async (req, res) => {
 
     data.auth.HASHED_PASSWORD = HASHED_PASSWORD;
     data._id = id;
-
-    helpers.PushPlayerData(id, data);
-    res.sendStatus(200);
+    data.username_lower = username.toLowerCase();
 
     const client = require('../index').mongoClient;
     const db = client.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    // The unique index on `username_lower` catches concurrent registrations that both passed the check above.
+    try {
+        await db.collection("accounts").insertOne(data);
+    } catch (ex) {
+        if(ex.code === 11000) return res.status(400).send("Account already exists with that username. Please choose a different username.");
+        res.sendStatus(500);
+        throw ex;
+    }
+    res.sendStatus(200);
+
     const collection = db.collection("servers");
 
     var server = await collection.findOne({_id: {$eq: "a8ec2c20-a4c7-11ec-896d-419328454766", $exists: true}});
@@ -371,11 +693,33 @@ router.get("/mfa-enabled", middleware.authenticateToken, async (req, res) => {
     return res.status(200).send(`${data.auth.mfa_enabled}`);
 });
 
-router.get("/password-update", middleware.authenticateDeveloperToken, async (req, res) => {
+// Users can only request `max` password resets per `windowMs`.
+const passwordResetLimit = rateLimit({
+    'windowMs': config.ratelimit_password_reset_window ?? 3600000,
+    'max': config.ratelimit_password_reset_max ?? 5,
+    'legacyHeaders': true,
+    'standardHeaders': true
+});
+
+// 1 hour
+const PASSWORD_RESET_TOKEN_LIFETIME = config.password_reset_token_lifetime ?? 60 * 60 * 1000;
+// 24 hours
+const EMAIL_VERIFICATION_TOKEN_LIFETIME = config.email_verification_token_lifetime ?? 24 * 60 * 60 * 1000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 30 days
+const USERNAME_CHANGE_COOLDOWN = config.username_change_cooldown ?? 30 * 24 * 60 * 60 * 1000;
+// 14 days
+const ACCOUNT_DELETION_GRACE_PERIOD = config.account_deletion_grace_period ?? 14 * 24 * 60 * 60 * 1000;
+
+const USERNAME_REGEX = /^[A-Za-z0-9_.-]{3,32}$/;
+
+async function ChangePassword(req, res) {
     try {
-        const { current_password, new_password } = req.body;
+        const { current_password, new_password, two_factor_code, recovery_code } = req.body;
 
-        if(typeof current_password == 'undefined' || typeof new_password == 'undefined')
+        if(typeof current_password != 'string' || typeof new_password != 'string')
             return res.status(400).json({
                 code: "missing_parameter",
                 message: "You did not specify either your current password or your new password."
@@ -387,32 +731,41 @@ router.get("/password-update", middleware.authenticateDeveloperToken, async (req
                 message: "Your new password cannot be the same as your old password."
             });
 
-        if(new_password.length < 8)
-            return res.status(400).json({
-                code: "invalid_password",
-                message: "Your new password is too short."
-            });
+        const failed_rules = helpers.CheckPasswordPolicy(new_password, req.user.username);
+        if(failed_rules.length > 0) return SendPasswordPolicyViolation(res, failed_rules);
 
         let data = await PullPlayerData(req.user.id);
-        if(data.auth.mfa_enabled) 
-            return res.status(400).json({
-                code: "access_denied",
-                message: "The password of accounts with Multi-Factor Authentication cannot be changed. Support will not be able to assist you.\nStaff may be able to recieve exemptions, if you are a staff member locked out of your account please contact the server admin directly."
-            });
 
-        if(!bcrypt.compareSync(current_password, data.auth.HASHED_PASSWORD))
+        if(!bcrypt.compareSync(current_password, data.auth.HASHED_PASSWORD)) {
+            helpers.auditLog(`Failed password change for user ${req.user.id} from ${req.ip}, incorrect current password.`, false);
             return res.status(401).json({
                 code: "incorrect_password",
                 message: "Your current password input is incorrect. Please resolve this to continue the password reset process, or contact support."
             });
+        }
+
+        if(data.auth.mfa_enabled === true) {
+            const status = await VerifySecondFactor(req.user.id, data, two_factor_code, recovery_code);
+            if(status === 'unavailable') return res.status(503).json({
+                code: "mfa_unavailable",
+                message: "Your account has 2FA enabled, but 2FA is not available on this server. Please contact the server admin."
+            });
+            if(status !== 'approved') return res.status(401).json({
+                code: "mfa_required",
+                message: "Your account has 2FA enabled. Please specify a valid `two_factor_code` or `recovery_code`."
+            });
+        }
         
-        data.auth.HASHED_PASSWORD = bcrypt.hashSync(new_password, 10);
+        await helpers.SetPlayerFields(req.user.id, {"auth.HASHED_PASSWORD": bcrypt.hashSync(new_password, 10)});
 
-        await PushPlayerData(req.user.id, data);
+        // Sign out every other device, but keep the session that changed the password.
+        const token_version = await helpers.InvalidatePlayerTokens(req.user.id, "password_changed", req.user.sid);
+        helpers.auditLog(`User ${req.user.id} changed their password. All other sessions were revoked.`, false);
 
         return res.status(200).json({
             code: "success",
-            message: "The operation was completed successfully."
+            message: "The operation was completed successfully.",
+            accessToken: SignAccessToken(req.user.id, data.public.username, req.user.developer, req.user.sid, token_version)
         });
     } catch (ex) {
         res.status(500).json({
@@ -421,32 +774,497 @@ router.get("/password-update", middleware.authenticateDeveloperToken, async (req
         });
         throw ex;
     }
+}
+
+// GET is kept for older clients, new clients should POST.
+router.route("/password-update")
+    .get(middleware.authenticateToken, ChangePassword)
+    .post(middleware.authenticateToken, ChangePassword);
+
+router.route("/email")
+    .get(middleware.authenticateToken, async (req, res) => {
+        const data = await helpers.PullPlayerData(req.user.id);
+        return res.status(200).json({
+            email: data.auth.email ?? null,
+            verified: data.auth.email_verified === true,
+            pending_email: data.auth.pending_email ?? null
+        });
+    })
+    .post(middleware.authenticateToken, passwordResetLimit, async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            if (!IsMailEnabled()) return res.status(503).json({
+                code: "mail_unavailable",
+                message: "Email is not available on this server."
+            });
+
+            if (typeof email != 'string' || !EMAIL_REGEX.test(email)) return res.status(400).json({
+                code: "invalid_email",
+                message: "You did not specify a valid email address."
+            });
+            if (typeof password != 'string') return res.status(400).json({
+                code: "missing_parameter",
+                message: "You must confirm your current password to change your email address."
+            });
+
+            let data = await PullPlayerData(req.user.id);
+            if (!bcrypt.compareSync(password, data.auth.HASHED_PASSWORD)) return res.status(401).json({
+                code: "incorrect_password",
+                message: "Your current password input is incorrect."
+            });
+
+            const normalized = email.trim().toLowerCase();
+
+            // The address only replaces the current one once it has been verified.
+            await helpers.SetPlayerFields(req.user.id, {"auth.pending_email": normalized});
+
+            const token = await helpers.CreateAccountToken(req.user.id, "email_verification", EMAIL_VERIFICATION_TOKEN_LIFETIME, { email: normalized });
+            await SendMail(
+                normalized,
+                "Verify your email address",
+                `Hi @${data.public.username},\n\nUse the following code to verify this email address for your Compensation VR account:\n\n${token}\n\nIf you did not request this, you can ignore this email.`
+            );
+
+            helpers.auditLog(`User ${req.user.id} requested verification of a new email address.`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "A verification code has been sent to that address."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal server error occurred and we could not process your request."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateToken, async (req, res) => {
+        await helpers.UpdatePlayerData(req.user.id, {$unset: {"auth.email": "", "auth.email_verified": "", "auth.pending_email": ""}});
+
+        helpers.auditLog(`User ${req.user.id} removed the email address from their account.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    });
+
+router.post("/email/verify", middleware.authenticateToken, async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (typeof token != 'string') return res.status(400).json({
+            code: "missing_parameter",
+            message: "You did not specify a verification code."
+        });
+
+        const result = await helpers.ConsumeAccountToken(token.trim(), "email_verification");
+        if (result === null || result.user_id !== req.user.id) return res.status(400).json({
+            code: "invalid_token",
+            message: "That verification code is invalid, expired or has already been used."
+        });
+
+        const verified = await helpers.UpdatePlayerData(
+            req.user.id,
+            {$set: {"auth.email": result.payload.email, "auth.email_verified": true}, $unset: {"auth.pending_email": ""}},
+            {"auth.pending_email": {$eq: result.payload.email}}
+        );
+        if (verified === null) return res.status(400).json({
+            code: "invalid_token",
+            message: "That verification code is for an address you are no longer changing to."
+        });
+
+        helpers.auditLog(`User ${req.user.id} verified a new email address.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "Your email address has been verified."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
 });
 
-async function Verify2faUser(user_id, code, callback) {
-    var data = await helpers.PullPlayerData(user_id);
-    client.verify.services(process.env.TWILIO_SERVICE_SID)
-        .entities(`COMPENSATION-VR-ACCOUNT-ID-${user_id}`)
-        .factors(data.auth.mfa_factor_sid)
-        .update({authPayload: code})
-        .then(factor => {
-            callback(factor.status === 'verified');
+router.post("/password-reset/request", passwordResetLimit, async (req, res) => {
+    try {
+        const { username, email } = req.body;
+
+        if (!IsMailEnabled()) return res.status(503).json({
+            code: "mail_unavailable",
+            message: "Email is not available on this server."
+        });
+
+        if (typeof username != 'string' && typeof email != 'string') return res.status(400).json({
+            code: "missing_parameter",
+            message: "You must specify either your username or your email address."
+        });
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        let accounts = [];
+        if (typeof username == 'string') {
+            const id = await helpers.getUserID(username);
+            const data = id === null ? null : await PullPlayerData(id);
+            if (data !== null) accounts.push(data);
+        } else {
+            accounts = await db.collection('accounts').find({
+                "auth.email": { $eq: email.trim().toLowerCase() },
+                "auth.email_verified": { $eq: true }
+            }).toArray();
+        }
+
+        for (const data of accounts) {
+            if (data.auth.email_verified !== true || typeof data.auth.email != 'string') continue;
+
+            const token = await helpers.CreateAccountToken(data._id, "password_reset", PASSWORD_RESET_TOKEN_LIFETIME);
+            const link = typeof config.password_reset_url == 'string' ? `\n\nOr open this link: ${config.password_reset_url}?token=${token}` : "";
+            // A mail failure must not change the response, or it would reveal that the account exists.
+            SendMail(
+                data.auth.email,
+                "Reset your password",
+                `Hi @${data.public.username},\n\nSomebody requested a password reset for your Compensation VR account. Use the following code to choose a new password:\n\n${token}${link}\n\nThis code expires in ${Math.round(PASSWORD_RESET_TOKEN_LIFETIME / 60000)} minutes. If you did not request this, you can ignore this email.`
+            ).catch(console.error);
+
+            helpers.auditLog(`Password reset requested for user ${data._id} from ${req.ip}.`, false);
+        }
+
+        // Always respond the same way, so this can't be used to discover which accounts or addresses exist.
+        return res.status(200).json({
+            code: "success",
+            message: "If an account with a verified email address matches, a reset code has been sent to it."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.post("/password-reset/confirm", passwordResetLimit, async (req, res) => {
+    try {
+        const { token, new_password, two_factor_code, recovery_code } = req.body;
+
+        if (typeof token != 'string' || typeof new_password != 'string') return res.status(400).json({
+            code: "missing_parameter",
+            message: "You must specify your reset code and your new password."
+        });
+
+        // Checked before the code is consumed, so a weak password doesn't waste it.
+        const failed_rules = helpers.CheckPasswordPolicy(new_password);
+        if (failed_rules.length > 0) return SendPasswordPolicyViolation(res, failed_rules);
+
+        const result = await helpers.ConsumeAccountToken(token.trim(), "password_reset");
+        if (result === null) {
+            helpers.auditLog(`Invalid or expired password reset code presented from ${req.ip}.`, false);
+            return res.status(400).json({
+                code: "invalid_token",
+                message: "That reset code is invalid, expired or has already been used."
+            });
+        }
+
+        let data = await PullPlayerData(result.user_id);
+        if (data === null) return res.status(400).json({
+            code: "invalid_token",
+            message: "That reset code is invalid, expired or has already been used."
+        });
+
+        const username_rules = helpers.CheckPasswordPolicy(new_password, data.public.username);
+        if (username_rules.length > 0) return SendPasswordPolicyViolation(res, username_rules);
+
+        // A mailbox alone is not enough to take over an account protected by 2FA.
+        if (data.auth.mfa_enabled === true) {
+            const status = await VerifySecondFactor(result.user_id, data, two_factor_code, recovery_code);
+            if (status !== 'approved') {
+                helpers.auditLog(`Password reset for user ${result.user_id} was refused, 2FA was not satisfied.`, false);
+                return res.status(401).json({
+                    code: "mfa_required",
+                    message: "Your account has 2FA enabled. Please request a new reset code and specify a valid `two_factor_code` or `recovery_code`."
+                });
+            }
+        }
+
+        await helpers.SetPlayerFields(result.user_id, {"auth.HASHED_PASSWORD": bcrypt.hashSync(new_password, 10)});
+
+        await helpers.InvalidatePlayerTokens(result.user_id, "password_changed");
+        helpers.auditLog(`User ${result.user_id} reset their password from ${req.ip}. All sessions were revoked.`, false);
+
+        // The password has already changed, so a mail outage must not turn this into an error.
+        if (typeof data.auth.email == 'string') SendMail(
+            data.auth.email,
+            "Your password was changed",
+            `Hi @${data.public.username},\n\nThe password of your Compensation VR account was just reset. If this wasn't you, please contact support immediately.`
+        ).catch(console.error);
+
+        return res.status(200).json({
+            code: "success",
+            message: "Your password has been reset. Please log in again."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.post("/username", middleware.authenticateToken, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (typeof username != 'string' || !USERNAME_REGEX.test(username)) return res.status(400).json({
+            code: "invalid_username",
+            message: "Usernames must be 3 to 32 characters long and may only contain letters, numbers, underscores, periods and dashes."
+        });
+        if (typeof password != 'string') return res.status(400).json({
+            code: "missing_parameter",
+            message: "You must specify your current `password` to change your username."
         });
-}
 
-async function Verify2faCode(user_id, code, callback) {
-    var data = await helpers.PullPlayerData(user_id);
-    client.verify.services(process.env.TWILIO_SERVICE_SID)
-        .entities(`COMPENSATION-VR-ACCOUNT-ID-${user_id}`)
-        .challenges
-        .create({authPayload: code, factorSid: data.auth.mfa_factor_sid})
-        .then(challenge => {
-            callback(challenge.status);
-            // challenge.status == 'approved';
-            // challenge.status == 'denied';
-            // challenge.status == 'expired';
-            // challenge.status == 'pending';
+        const data = await helpers.PullPlayerData(req.user.id);
+
+        if (!bcrypt.compareSync(password, data.auth.HASHED_PASSWORD)) return res.status(401).json({
+            code: "incorrect_password",
+            message: "Your password is incorrect."
+        });
+
+        const next_change = (data.auth.username_changed_at ?? 0) + USERNAME_CHANGE_COOLDOWN;
+        if (next_change > Date.now()) return res.status(429).json({
+            code: "username_change_cooldown",
+            message: "You have changed your username recently. Please wait before changing it again.",
+            next_change: next_change
+        });
+
+        // Changing the capitalization of your own username is allowed.
+        const existing = await helpers.getUserID(username);
+        if (existing !== null && existing !== req.user.id) return res.status(400).json({
+            code: "username_taken",
+            message: "An account already exists with that username. Please choose a different username."
         });
+
+        if (check(username)) {
+            helpers.auditLog(`Suspicious username change! ${req.user.id} changed their username to ${username}. Request permitted, but please review it.`, false);
+        }
+
+        const previous_username = data.public.username;
+
+        // The unique index on `username_lower` catches a concurrent registration or change to the same username,
+        // and matching the previous change time stops two concurrent changes from both passing the cooldown.
+        try {
+            const changed = await helpers.UpdatePlayerData(
+                req.user.id,
+                {
+                    $set: {
+                        "public.username": username,
+                        "auth.username": username,
+                        "auth.username_changed_at": Date.now(),
+                        username_lower: username.toLowerCase()
+                    },
+                    $push: { "auth.previous_usernames": { username: previous_username, changed_at: Date.now() } }
+                },
+                { "public.username": { $eq: previous_username }, "auth.username_changed_at": { $eq: data.auth.username_changed_at ?? null } }
+            );
+            if (changed === null) return res.status(409).json({
+                code: "concurrent_change",
+                message: "Your username was changed by another request. Please try again."
+            });
+        } catch (ex) {
+            if (ex.code === 11000) return res.status(400).json({
+                code: "username_taken",
+                message: "An account already exists with that username. Please choose a different username."
+            });
+            throw ex;
+        }
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        await db.collection("images").updateMany({ 'takenBy.id': req.user.id }, { $set: { 'takenBy.username': username } });
+
+        helpers.auditLog(`User ${req.user.id} changed their username from @${previous_username} to @${username}.`, false);
+
+        return res.status(200).json({
+            code: "success",
+            message: "Your username has been changed.",
+            accessToken: SignAccessToken(req.user.id, username, req.user.developer, req.user.sid, data.auth.token_version)
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.route("/deletion")
+    .get(middleware.authenticateToken, async (req, res) => {
+        const data = await helpers.PullPlayerData(req.user.id);
+        return res.status(200).json({
+            scheduled: typeof data.auth.deletion_scheduled_for == 'number',
+            scheduled_for: data.auth.deletion_scheduled_for ?? null
+        });
+    })
+    .post(middleware.authenticateToken, async (req, res) => {
+        try {
+            const { password, two_factor_code, recovery_code } = req.body;
+
+            if (typeof password != 'string') return res.status(400).json({
+                code: "missing_parameter",
+                message: "You must specify your current `password` to delete your account."
+            });
+
+            const data = await helpers.PullPlayerData(req.user.id);
+
+            if (typeof data.auth.deletion_scheduled_for == 'number') return res.status(400).json({
+                code: "deletion_already_scheduled",
+                message: "Your account is already scheduled for deletion.",
+                scheduled_for: data.auth.deletion_scheduled_for
+            });
+
+            if (!bcrypt.compareSync(password, data.auth.HASHED_PASSWORD)) {
+                helpers.auditLog(`Failed account deletion request for user ${req.user.id} from ${req.ip}, incorrect password.`, false);
+                return res.status(401).json({
+                    code: "incorrect_password",
+                    message: "Your password is incorrect."
+                });
+            }
+
+            if (data.auth.mfa_enabled === true) {
+                const status = await VerifySecondFactor(req.user.id, data, two_factor_code, recovery_code);
+                if (status === 'unavailable') return res.status(503).json({
+                    code: "mfa_unavailable",
+                    message: "Your account has 2FA enabled, but 2FA is not available on this server. Please contact the server admin."
+                });
+                if (status !== 'approved') return res.status(401).json({
+                    code: "mfa_required",
+                    message: "Your account has 2FA enabled. Please specify a valid `two_factor_code` or `recovery_code`."
+                });
+            }
+
+            const scheduled_for = Date.now() + ACCOUNT_DELETION_GRACE_PERIOD;
+            const scheduled = await helpers.UpdatePlayerData(
+                req.user.id,
+                { $set: { "auth.deletion_scheduled_for": scheduled_for } },
+                { "auth.deletion_scheduled_for": { $not: { $type: "number" } } }
+            );
+            // Another request scheduled it while the password and second factor were being checked.
+            if (scheduled === null) return res.status(400).json({
+                code: "deletion_already_scheduled",
+                message: "Your account is already scheduled for deletion."
+            });
+
+            helpers.auditLog(`User ${req.user.id} scheduled their account for deletion on ${new Date(scheduled_for).toUTCString()}.`, false);
+
+            // The deletion is already scheduled, so a mail outage must not turn this into an error.
+            if (data.auth.email_verified === true && typeof data.auth.email == 'string')
+                SendMail(data.auth.email, "Your account is scheduled for deletion", `Hi @${data.public.username},\n\nYour account will be permanently deleted on ${new Date(scheduled_for).toUTCString()}. If you change your mind, log in and cancel the deletion before then.`).catch(console.error);
+
+            return res.status(200).json({
+                code: "success",
+                message: "Your account has been scheduled for deletion. You can cancel this at any time before it happens.",
+                scheduled_for: scheduled_for
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal server error occurred and we could not process your request."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateToken, async (req, res) => {
+        const cancelled = await helpers.UpdatePlayerData(
+            req.user.id,
+            { $unset: { "auth.deletion_scheduled_for": "" } },
+            { "auth.deletion_scheduled_for": { $type: "number" } }
+        );
+        if (cancelled === null) return res.status(400).json({
+            code: "deletion_not_scheduled",
+            message: "Your account is not scheduled for deletion."
+        });
+
+        helpers.auditLog(`User ${req.user.id} cancelled the deletion of their account.`, false);
+        return res.status(200).json({
+            code: "success",
+            message: "The deletion of your account has been cancelled."
+        });
+    });
+
+router.get("/password-policy", async (req, res) => {
+    return res.status(200).json(PublicPasswordPolicy());
+});
+
+/**
+ * Fetches the password policy without server internals, for display by clients.
+ * @returns {Object} The client facing password policy.
+ */
+function PublicPasswordPolicy() {
+    const policy = helpers.GetPasswordPolicy();
+    return {
+        min_length: policy.min_length,
+        max_length: policy.max_length,
+        require_lowercase: policy.require_lowercase,
+        require_uppercase: policy.require_uppercase,
+        require_digit: policy.require_digit,
+        require_symbol: policy.require_symbol,
+        disallow_username: policy.disallow_username,
+        disallow_common_passwords: typeof policy.deny_list_path == 'string'
+    };
+}
+
+/**
+ * Responds with a structured password policy error, listing every rule the password failed.
+ * @param {import('express').Response} res The response to send the error on.
+ * @param {String[]} failed_rules The rule codes returned by `helpers.CheckPasswordPolicy`.
+ */
+function SendPasswordPolicyViolation(res, failed_rules) {
+    return res.status(400).json({
+        code: "password_policy_violation",
+        message: "Your password does not meet the password requirements.",
+        failed_rules: failed_rules,
+        policy: PublicPasswordPolicy()
+    });
+}
+
+/**
+ * Checks a second factor, either a code from the account's MFA provider or a recovery code.
+ * Recovery codes are consumed and provider state is claimed in the database, `data` is only updated to match.
+ * @param {String} user_id The ID of the player.
+ * @param {Object} data The account data of the player.
+ * @param {String|undefined} two_factor_code The code from the player's authenticator.
+ * @param {String|undefined} recovery_code One of the player's recovery codes.
+ * @returns {Promise<'approved'|'denied'|'expired'|'pending'|'unavailable'>} The outcome of the check.
+ */
+async function VerifySecondFactor(user_id, data, two_factor_code, recovery_code) {
+    if (typeof recovery_code == 'string') {
+        if (!await mfa.ConsumeRecoveryCode(user_id, data, recovery_code)) return 'denied';
+
+        helpers.auditLog(`User ${user_id} used a 2FA recovery code. Remaining recovery codes: ${data.auth.mfa_recovery_codes.length}`, false);
+        return 'approved';
+    }
+
+    if (typeof two_factor_code != 'string') return 'denied';
+
+    const provider = mfa.GetAccountProvider(data);
+    if (provider === null || !provider.isAvailable()) return 'unavailable';
+
+    return await provider.verify(user_id, data, two_factor_code);
+}
+
+/**
+ * Signs a short lived access token for a player.
+ * @param {String} id The ID of the player.
+ * @param {String} username The username of the player.
+ * @param {Boolean} developer Whether or not the player has the Developer tag.
+ * @param {String|undefined} session_id The session this token belongs to.
+ * @param {Number|undefined} token_version The account's current token version, see `helpers.InvalidatePlayerTokens`.
+ * @returns {String} The signed access token.
+ */
+function SignAccessToken(id, username, developer, session_id, token_version) {
+    const user = {username: username, id: id, developer: developer, sid: session_id, tv: token_version ?? 0};
+    return jwt.sign(user, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "30m" });
 }
 
 module.exports = router;
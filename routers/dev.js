@@ -1,10 +1,11 @@
 const router = require('express').Router();
-const { PullPlayerData, PushPlayerData } = require('../helpers');
+const { PullPlayerData, auditLog } = require('../helpers');
 const middleware = require('../middleware');
 const config = require('../config.json');
 const { execSync } = require('node:child_process');
 const { authenticateTokenAndTag } = require('../middleware');
 const { v1 } = require('uuid');
+const { ExecuteTransaction } = require('./econ');
 
 //Check if a token is valid as developer.
 router.get("/check", middleware.authenticateDeveloperToken, async (req, res) => {
@@ -16,7 +17,7 @@ router.post("/accounts/:id/inventory-item", middleware.authenticateDeveloperToke
         const {id} = req.params;
         const {item_id, count} = req.body;
 
-        if(typeof count != 'number') 
+        if(typeof count != 'number' || !Number.isInteger(count)) 
             return res.status(400).json({
                 code: "invalid_input",
                 message: "Parameter `count` not specified or not an integer."
@@ -34,11 +35,20 @@ router.post("/accounts/:id/inventory-item", middleware.authenticateDeveloperToke
                 message: "No account exists with that ID."
             });
 
-            
-        if(count < 1) delete data.econ.inventory[item_id];
-        else data.econ.inventory[item_id] = count;
+        const current = data.econ.inventory[item_id] ?? 0;
+        const target = Math.max(count, 0);
 
-        await PushPlayerData(id, data);
+        if(target !== current) {
+            const transaction = await ExecuteTransaction("adjustment", req.user.id, [
+                {user_id: id, items: {[item_id]: target - current}}
+            ], {item_id: item_id, previous_count: current});
+            if(transaction === null) return res.status(409).json({
+                code: "conflict",
+                message: "The player's inventory changed while it was being edited. Please try again."
+            });
+        }
+
+        auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} set user ${id}'s count of item ${item_id} to ${target}.`, false);
 
         res.status(200).json({
             code: "success",
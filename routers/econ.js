@@ -13,44 +13,133 @@ router.route("/item/:id/info")
         return res.status(200).json(data);
     })
     .post(middleware.authenticateDeveloperToken, async (req, res) => {
-        var {id} = req.params;
-
         try {
-            await PushItem(id, req.body);
-            return res.sendStatus(200);
+            var {id} = req.params;
+
+            // Item IDs become part of inventory field paths.
+            if(!ITEM_ID_REGEX.test(id)) return res.status(400).json({
+                code: "invalid_item_id",
+                message: "Item IDs may only contain letters, numbers, underscores, colons and dashes."
+            });
+
+            const {error, item} = await ValidateItem(req.body);
+            if(error) return res.status(400).json(error);
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            try {
+                await db.collection('items').insertOne({_id: id, ...item, catalog_version: await BumpCatalogVersion()});
+            } catch (ex) {
+                if(ex.code !== 11000) throw ex;
+                return res.status(409).json({
+                    code: "item_exists",
+                    message: "An item with that ID already exists. Use PUT to update it."
+                });
+            }
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} created item ${id}: ${JSON.stringify(item)}`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
         } catch (ex) {
-            res.sendStatus(500);
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
             throw ex;
         }
     })
     .put(middleware.authenticateDeveloperToken, async (req, res) => {
-        var id = await require('../index')
-            .mongoClient
-            .db(process.env.MONGOOSE_DATABASE_NAME)
-            .collection('items')
-            .countDocuments({});
-        await PushItem(id.toString(), req.body);
-        res.status(200).send();
+        try {
+            var {id} = req.params;
+
+            const {error, item} = await ValidateItem(req.body);
+            if(error) return res.status(400).json(error);
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            if(await PullItem(id) === null) return res.status(404).json({
+                code: "item_not_found",
+                message: "No item exists with that ID. Use POST to create it."
+            });
+
+            await db.collection('items').replaceOne({_id: {$eq: id}}, {...item, catalog_version: await BumpCatalogVersion()});
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} updated item ${id}: ${JSON.stringify(item)}`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            var {id} = req.params;
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            const result = await db.collection('items').deleteOne({_id: {$eq: id, $exists: true}});
+            if(result.deletedCount < 1) return res.status(404).json({
+                code: "item_not_found",
+                message: "No item exists with that ID."
+            });
+            await BumpCatalogVersion();
+
+            // Players keep any copies they own, they just can no longer be bought, equipped or traded.
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} deleted item ${id}.`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
     });
 
+router.get("/item/catalog/version", async (req, res) => {
+    return res.status(200).json({version: await GetCatalogVersion()});
+});
+
 router.post("/item/buy", middleware.authenticateToken, async (req, res) => {
     //i should have been doing this before tbh
     //type confusion is a pain
-    var {item_id} = req.body;
+    var {item_id, currency} = req.body;
     if(typeof item_id == 'undefined') return res.status(400).send("You did not specify an item.");
     if(typeof item_id != 'string') return res.status(400).send("The item ID you specified must be a string.");
 
-    var player_balance = await GetPlayerCurrency(req.user.id);
-
     var item = await PullItem(item_id);
     if(item === null) return res.status(404).send("That item does not exist!");
 
     if(!item.is_purchasable) return res.status(400).send("That item is not available for purchase.");
-    if(player_balance < item.buy_price) return res.status(400).send("You cannot afford that item!");
+
+    // Running sales may lower the price.
+    const storefront = require('./storefront');
+    const price = await storefront.GetActivePrice(item, currency, req.user.id);
+    if(price === null) return res.status(400).send("That item cannot be bought with that currency.");
 
     try {
-        await GrantPlayerItem(req.user.id, item_id);
-        await ModifyPlayerCurrency(req.user.id, 0 - item.buy_price);
+        const count = storefront.CountPurchase(price.campaign, req.user.id);
+        let transaction = await ExecuteTransaction("purchase", req.user.id, [
+            {user_id: req.user.id, currency: 0 - price.amount, currency_id: price.currency_id, items: {[item_id]: 1}}
+        ], {item_id: item_id, campaign_id: price.campaign?._id ?? null}, count);
+
+        // Another purchase used up the sale's limit after the price was worked out, so the regular price applies.
+        if(transaction === null && count?.limit_reached) {
+            const regular = ResolvePrice(item, "buy_price", currency);
+            transaction = await ExecuteTransaction("purchase", req.user.id, [
+                {user_id: req.user.id, currency: 0 - regular.amount, currency_id: regular.currency_id, items: {[item_id]: 1}}
+            ], {item_id: item_id, campaign_id: null});
+        }
+        if(transaction === null) return res.status(400).send("You cannot afford that item!");
+
         return res.status(200).send("Successfully purchased item! Enjoy!");
     } catch (ex) {
         res.status(500).send("Failed to purchase item due to an internal server error. Please contact the server admin for more information.");
@@ -59,7 +148,7 @@ router.post("/item/buy", middleware.authenticateToken, async (req, res) => {
 });
 
 router.post("/item/gift", middleware.authenticateToken, async (req, res) => {
-    var {item_id, target} = req.body;
+    var {item_id, target, currency} = req.body;
     if(typeof item_id != 'string') return res.status(400).send("You did not specify an item.");
     if(typeof target != 'string') return res.status(400).send("You did not specify a user to gift this item.");
 
@@ -72,12 +161,16 @@ router.post("/item/gift", middleware.authenticateToken, async (req, res) => {
     if(!item.is_purchasable) return res.status(400).send("That item is not purchasable in any capacity.");
     if(!item.is_giftable) return res.status(400).send("You cannot gift somebody this item.");
 
-    var balance = await GetPlayerCurrency(req.user.id);
-    if(balance < item.gift_price) return res.status(400).send("You cannot afford that item.");
+    const price = ResolvePrice(item, "gift_price", currency);
+    if(price === null) return res.status(400).send("That item cannot be gifted with that currency.");
 
     try {
-        await GrantPlayerItem(target, item_id);
-        await ModifyPlayerCurrency(req.user.id, 0 - item.gift_price);
+        const transaction = await ExecuteTransaction("gift", req.user.id, [
+            {user_id: req.user.id, currency: 0 - price.amount, currency_id: price.currency_id},
+            {user_id: target, items: {[item_id]: 1}}
+        ], {item_id: item_id});
+        if(transaction === null) return res.status(400).send("You cannot afford that item.");
+
         return res.status(200).send("Gift successfully sent! Thanks for playing Compensation VR!");
     } catch (ex) {
         res.status(500).send("Internal server error, failed to send gift. Contact the server admin for more information.");
@@ -86,19 +179,22 @@ router.post("/item/gift", middleware.authenticateToken, async (req, res) => {
 });
 
 router.post("/item/refund", middleware.authenticateToken, async (req, res) => {
-    var {item_id} = req.body;
+    var {item_id, currency} = req.body;
     if(typeof item_id != 'string') return res.status(400).send("You did not specify an item.");
 
     var item = await PullItem(item_id);
     if(item === null) return res.status(404).send("That item does not exist!");
     if(!item.is_refundable) return res.status(400).send("You cannot refund that item!");
 
-    var count = await GetPlayerItemCount(req.user.id, item_id);
-    if(count < 1) return res.status(400).send("You do not own that item. >:(");
+    const price = ResolvePrice(item, "refund_price", currency);
+    if(price === null) return res.status(400).send("That item cannot be refunded in that currency.");
 
     try {
-        await ModifyPlayerCurrency(req.user.id, item.refund_price);
-        await SubtractPlayerItem(req.user.id, item_id);
+        const transaction = await ExecuteTransaction("refund", req.user.id, [
+            {user_id: req.user.id, currency: price.amount, currency_id: price.currency_id, items: {[item_id]: -1}}
+        ], {item_id: item_id});
+        if(transaction === null) return res.status(400).send("You do not own that item, or you cannot hold any more of that currency.");
+
         return res.status(200).send("Transaction complete. Thank you for playing Compensation VR!");
     } catch (ex) {
         res.status(500).send("An error occurred and we failed to complete the transaction. Please contact the server admin for more information.");
@@ -115,16 +211,16 @@ router.post("/item/transfer", middleware.authenticateToken, async (req, res) =>
     if(item === null) return res.status(404).send("That item does not exist!");
     if(!item.is_transferrable) return res.status(400).send("That item cannot be transferred.");
 
-    var count = await GetPlayerItemCount(item_id);
-    if(count < 1) return res.status(400).send("You do not own that item!");
-
     var data = await helpers.PullPlayerData(target);
     if(data === null) return res.status(404).send("That user does not exist!");
 
-
     try {
-        await GrantPlayerItem(target, item_id);
-        await SubtractPlayerItem(req.user.id, item_id);
+        const transaction = await ExecuteTransaction("item_transfer", req.user.id, [
+            {user_id: req.user.id, items: {[item_id]: -1}},
+            {user_id: target, items: {[item_id]: 1}}
+        ], {item_id: item_id});
+        if(transaction === null) return res.status(400).send("You do not own that item!");
+
         return res.status(200).send("Item transferred. Thanks for playing Compensation VR!");
     } catch (ex) {
         res.status(500).send("We encountered an error and the transaction could not be completed. Please contact the server admin for more information.");
@@ -133,20 +229,28 @@ router.post("/item/transfer", middleware.authenticateToken, async (req, res) =>
 });
 
 router.post("/currency/transfer", middleware.authenticateToken, async (req, res) => {
-    var {amount, target} = req.body;
-    if(typeof amount != 'number') return res.status(400).send("Amount must be an integer!");
+    var {amount, target, currency} = req.body;
+    if(typeof amount != 'number' || !Number.isInteger(amount)) return res.status(400).send("Amount must be an integer!");
     if(typeof target != 'string') return res.status(400).send("You did not specify a user!");
     if(amount < 1) return res.status(400).send("You can't take money from somebody! That's illegal!");
 
+    var currencyData = await GetCurrency(currency ?? DEFAULT_CURRENCY);
+    if(currencyData === null) return res.status(404).send("That currency does not exist!");
+    if(!currencyData.transferable) return res.status(400).send(`${currencyData.display_name} cannot be transferred.`);
+
     var data = await helpers.PullPlayerData(target);
     if(data === null) return res.status(404).send("That user does not exist!");
 
-    var balance = await GetPlayerCurrency(req.user.id);
-    if(balance < amount) return res.status(400).send("You don't have enough currency to send that much!");
+    const receiving_balance = GetWallets(data)[currencyData._id] ?? 0;
+    if(typeof currencyData.max_balance == 'number' && receiving_balance + amount > currencyData.max_balance) return res.status(400).send(`That user cannot hold that much ${currencyData.display_name}.`);
 
     try {
-        await ModifyPlayerCurrency(req.user.id, 0 - amount);
-        await ModifyPlayerCurrency(target, amount);
+        const transaction = await ExecuteTransaction("currency_transfer", req.user.id, [
+            {user_id: req.user.id, currency: 0 - amount, currency_id: currencyData._id},
+            {user_id: target, currency: amount, currency_id: currencyData._id}
+        ]);
+        if(transaction === null) return res.status(400).send("You don't have enough currency to send that much!");
+
         return res.status(200).send("Currency successfully transferred! Thanks for playing Compensation VR!");
     } catch (ex) {
         res.status(500).send("An error occured and we couldn't transfer the currency. Please contact the server admin for more information.");
@@ -164,7 +268,7 @@ router.get("/item/all", async (req, res) => {
 
     let items = {};
     for(var i = 0; i < list.length; i++) {
-        items[list[i].id] = list[i];
+        items[list[i]._id] = list[i];
     }
     res.status(200).json(items);
 });
@@ -175,34 +279,160 @@ router.get("/inventory", middleware.authenticateToken, async (req, res) => {
 });
 
 router.get("/currency/balance", middleware.authenticateToken, async (req, res) => {
-    return res.status(200).send((await GetPlayerCurrency(req.user.id)).toString());
+    var {currency} = req.query;
+    if(typeof currency != 'string') currency = DEFAULT_CURRENCY;
+    if(await GetCurrency(currency) === null) return res.status(404).send("That currency does not exist!");
+
+    return res.status(200).send((await GetPlayerCurrency(req.user.id, currency)).toString());
+});
+
+router.get("/wallet", middleware.authenticateToken, async (req, res) => {
+    var data = await helpers.PullPlayerData(req.user.id);
+    return res.status(200).json(GetWallets(data));
 });
 
+router.get("/currencies", async (req, res) => {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return res.status(200).json(await db.collection('currencies').find({}).toArray());
+});
+
+router.route("/currencies/:id")
+    .get(async (req, res) => {
+        var currency = await GetCurrency(req.params.id);
+        if(currency === null) return res.status(404).send("That currency does not exist!");
+
+        return res.status(200).json(currency);
+    })
+    .put(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            var {id} = req.params;
+            var {display_name, transferable, max_balance} = req.body;
+
+            // Currency IDs become part of wallet field paths.
+            if(!/^[A-Za-z0-9_:-]{1,64}$/.test(id)) return res.status(400).json({
+                code: "invalid_input",
+                message: "Currency IDs may only contain letters, numbers, underscores, colons and dashes."
+            });
+            if(typeof display_name != 'string' || typeof transferable != 'boolean')
+                return res.status(400).json({
+                    code: "invalid_input",
+                    message: "Parameters `display_name` (string) and `transferable` (boolean) are required."
+                });
+            if(typeof max_balance == 'undefined') max_balance = null;
+            if(max_balance !== null && (!Number.isInteger(max_balance) || max_balance < 0))
+                return res.status(400).json({
+                    code: "invalid_input",
+                    message: "Parameter `max_balance` must be a positive integer or null."
+                });
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            await db.collection('currencies').updateOne(
+                {_id: {$eq: id}},
+                {$set: {display_name: display_name, transferable: transferable, max_balance: max_balance}},
+                {upsert: true}
+            );
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} updated currency ${id}: ${JSON.stringify(req.body)}`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
 router.post("/item/equip", middleware.authenticateToken, async (req, res) => {
     var {item_id} = req.body;
 	
     if(typeof item_id != 'string') return res.status(400).send("You did not specify an item ID!");
 
-    var itemData = await PullItem(item_id);
-    if(itemData === null) return res.status(404).send("That item does not exist!");
-    if(!itemData.equippable) return res.status(400).send("That item is not equippable!");
+    try {
+        const result = await require('./outfits').EquipItem(req.user.id, item_id);
+        if(result.code === "item_not_found") return res.status(404).send(result.message);
+        if(result.code !== "success") return res.status(400).send(result.message);
 
-    var count = await GetPlayerItemCount(req.user.id, item_id);
-    if(count < 1) return res.status(400).send("You do not own that item!");
+        return res.sendStatus(200);
+    } catch (ex) {
+        res.sendStatus(500);
+        throw ex;
+    }
+});
+
+router.post("/item/unequip", middleware.authenticateToken, async (req, res) => {
+    var {item_id} = req.body;
+
+    if(typeof item_id != 'string') return res.status(400).send("You did not specify an item ID!");
 
     try {
-        var playerData = await helpers.PullPlayerData(req.user.id);
-        playerData.public.outfit[itemData.use_slot] = item_id;
-        await helpers.PushPlayerData(req.user.id, playerData);
+        if(!await require('./outfits').UnequipItem(req.user.id, item_id)) return res.status(400).send("You are not wearing that item!");
 
         return res.sendStatus(200);
-    } catch {
-        return res.sendStatus(500);
+    } catch (ex) {
+        res.sendStatus(500);
+        throw ex;
+    }
+});
+
+router.get("/transactions", middleware.authenticateToken, async (req, res) => {
+    try {
+        var {count, offset, currency} = req.query;
+
+        count = parseInt(count);
+        if(isNaN(count) || count < 1) count = 50;
+        count = Math.min(count, 100);
+
+        offset = parseInt(offset);
+        if(isNaN(offset) || offset < 0) offset = 0;
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const filter = typeof currency == 'string'
+            ? {changes: {$elemMatch: {user_id: {$eq: req.user.id}, currency_id: {$eq: currency}}}}
+            : {'changes.user_id': {$eq: req.user.id}};
+
+        const transactions = await db.collection('econ_ledger')
+            .find(filter)
+            .sort({created_at: -1})
+            .skip(offset)
+            .limit(count)
+            .toArray();
+
+        return res.status(200).json(transactions);
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.get("/reconciliation", middleware.authenticateDeveloperToken, async (req, res) => {
+    try {
+        const report = await ReconcileLedger();
+
+        helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} ran an economy reconciliation. ${report.discrepancies.length} of ${report.checked_accounts} accounts do not match the ledger.`, false);
+        return res.status(200).json(report);
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
     }
 });
 
 router.get("/items/featured", async (req, res) => {
     try {
+        // Scheduled featured slots take priority over the static list.
+        const storefront = require('./storefront');
+        const featured = storefront.GetFeaturedItems(await storefront.GetActiveCampaigns("featured"));
+        if (featured !== null) return res.status(200).json(featured);
+
         let db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
         let data = await db.collection('global').findOne({ _id: { $eq: "featured_items", $exists: true } });
 
@@ -230,60 +460,479 @@ async function PullItem(id) {
     return item;
 }
 
-async function PushItem(id, data) {
-    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
-    const collection = db.collection('items');
+// Returns the ledger entry, or null if the player does not exist.
+async function GrantPlayerItem(id, item_id, actor = "system") {
+    return await ExecuteTransaction("adjustment", actor, [{user_id: id, items: {[item_id]: 1}}], {item_id: item_id});
+}
 
-    // replace the old item with the inputted data.
-    const result = await collection.replaceOne({_id: {$eq: id, $exists: true}}, data);
-    return result;
+// Returns the ledger entry, or null if the player does not exist, cannot afford a negative amount or would exceed the maximum balance.
+async function ModifyPlayerCurrency(id, amount, actor = "system", currency_id = DEFAULT_CURRENCY) {
+    return await ExecuteTransaction("adjustment", actor, [{user_id: id, currency: amount, currency_id: currency_id}]);
 }
 
-async function GrantPlayerItem(id, item_id) {
+async function GetPlayerItemCount(id, item_id) {
     var data = await helpers.PullPlayerData(id);
     if(data === null) return null;
 
-    if(typeof data.econ.inventory[item_id] == 'undefined') data.econ.inventory[item_id] = 1;
-    else data.econ.inventory[item_id] += 1;
+    if(typeof data.econ.inventory[item_id] == 'undefined') return 0;
+    else return data.econ.inventory[item_id];
+}
+
+// Returns the ledger entry, or null if the player does not exist or the balance changed while being set.
+async function SetPlayerCurrency(id, amount, actor = "system", currency_id = DEFAULT_CURRENCY) {
+    const current = await GetPlayerCurrency(id, currency_id);
+    if(current === null) return null;
+
+    return await ExecuteTransaction("adjustment", actor, [{user_id: id, currency: amount - current, currency_id: currency_id}], {previous_balance: current});
+}
 
-    await helpers.PushPlayerData(id, data);
+// Returns the ledger entry, or null if the player does not own the item.
+async function SubtractPlayerItem(id, item_id, actor = "system") {
+    return await ExecuteTransaction("adjustment", actor, [{user_id: id, items: {[item_id]: -1}}], {item_id: item_id});
 }
 
-async function ModifyPlayerCurrency(id, amount) {
+async function GetPlayerCurrency(id, currency_id = DEFAULT_CURRENCY) {
     var data = await helpers.PullPlayerData(id);
     if(data === null) return null;
+    else return GetWallets(data)[currency_id] ?? 0;
+}
+
+//#endregion
+
+//#region currencies
+
+/**
+ * @typedef Currency
+ * @property {String} _id The ID of the currency, used in requests and item prices.
+ * @property {String} display_name The name shown to players.
+ * @property {Boolean} transferable Whether or not players can send this currency to each other.
+ * @property {Number|null} max_balance The most of this currency a player can hold, or null for no limit.
+ */
 
-    data.econ.currency += amount;
+// The original currency, still stored at `econ.currency` so older clients keep working.
+const DEFAULT_CURRENCY = "default";
 
-    if(data.econ.currency < 0) data.econ.currency = 0;
+/**
+ * Fetches a currency from the registry.
+ * @param {String} id The ID of the currency.
+ * @returns {Promise<Currency|null>} The currency, or null if it does not exist.
+ */
+async function GetCurrency(id) {
+    if(typeof id != 'string') return null;
 
-    await helpers.PushPlayerData(id, data);
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('currencies').findOne({_id: {$eq: id, $exists: true}});
 }
 
-async function GetPlayerItemCount(id, item_id) {
-    var data = await helpers.PullPlayerData(id);
-    if(data === null) return null;
+/**
+ * The account field that holds a player's balance of a currency.
+ * @param {String} currency_id The ID of the currency.
+ * @returns {String} The dot separated field path.
+ */
+function WalletPath(currency_id) {
+    return currency_id === DEFAULT_CURRENCY ? 'econ.currency' : `econ.wallets.${currency_id}`;
+}
 
-    if(typeof data.econ.inventory[item_id] == 'undefined') return 0;
-    else return data.econ.inventory[item_id];
+/**
+ * Collects every balance a player holds.
+ * @param {Object} data The player's account data.
+ * @returns {Object<String, Number>} A map of currency IDs to balances.
+ */
+function GetWallets(data) {
+    return {
+        ...data.econ?.wallets,
+        [DEFAULT_CURRENCY]: data.econ?.currency ?? 0
+    };
 }
 
-async function SubtractPlayerItem(id, item_id) {
-    var data = await helpers.PullPlayerData(id);
-    if(data === null) return null;
+/**
+ * Works out what an item costs in a currency.
+ * Prices are either a number, in the item's `currency` (or the default currency), or a map of currency IDs to amounts.
+ * @param {Object} item The item.
+ * @param {String} field The price to read, `buy_price`, `gift_price` or `refund_price`.
+ * @param {String|undefined} currency_id The currency requested by the player, if any.
+ * @returns {{currency_id: String, amount: Number}|null} The price, or null if the item is not priced in that currency.
+ */
+function ResolvePrice(item, field, currency_id) {
+    const price = item[field];
+
+    if(typeof price == 'number') {
+        const item_currency = item.currency ?? DEFAULT_CURRENCY;
+        if(typeof currency_id == 'string' && currency_id !== item_currency) return null;
+        return {currency_id: item_currency, amount: price};
+    }
+
+    if(typeof price != 'object' || price === null) return null;
+
+    if(typeof currency_id != 'string') currency_id = Object.keys(price).includes(DEFAULT_CURRENCY) ? DEFAULT_CURRENCY : Object.keys(price)[0];
+    if(typeof price[currency_id] != 'number') return null;
+    return {currency_id: currency_id, amount: price[currency_id]};
+}
+
+//#endregion
+
+//#region items
+
+/**
+ * @typedef Item
+ * @property {String} _id The ID of the item, used in inventories and requests.
+ * @property {String} name The name shown to players.
+ * @property {String} description The description shown to players.
+ * @property {"common"|"uncommon"|"rare"|"epic"|"legendary"} rarity How rare the item is.
+ * @property {Boolean} equippable Whether or not players can wear this item.
+ * @property {String|null} use_slot The outfit slot the item is worn in, required if the item is equippable.
+ * @property {String} [currency] The currency of any prices given as a plain number, the default currency if not set.
+ * @property {Number|Object<String, Number>|null} buy_price What the item costs to buy, as a number or a map of currency IDs to amounts.
+ * @property {Number|Object<String, Number>|null} gift_price What the item costs to gift.
+ * @property {Number|Object<String, Number>|null} refund_price What players get back for refunding the item.
+ * @property {Boolean} is_purchasable Whether or not the item can be bought or gifted.
+ * @property {Boolean} is_giftable Whether or not the item can be gifted.
+ * @property {Boolean} is_refundable Whether or not the item can be refunded.
+ * @property {Boolean} is_transferrable Whether or not players can transfer or trade the item.
+ * @property {Number} catalog_version The catalog version at which the item last changed.
+ */
+
+const ITEM_ID_REGEX = /^[A-Za-z0-9_:-]{1,64}$/;
+const ITEM_RARITIES = ["common", "uncommon", "rare", "epic", "legendary"];
+const ITEM_FLAGS = ["equippable", "is_purchasable", "is_giftable", "is_refundable", "is_transferrable"];
+const ITEM_PRICES = ["buy_price", "gift_price", "refund_price"];
+
+/**
+ * Checks an item submitted by a developer against the item schema.
+ * Fields outside the schema are dropped, and optional fields are filled in with their defaults.
+ * @param {any} body The submitted item.
+ * @returns {Promise<{error: {code: String, message: String}|null, item: Item|null}>} The item to store, or the reason it was rejected.
+ */
+async function ValidateItem(body) {
+    const reject = (code, message) => ({error: {code: code, message: message}, item: null});
+
+    if(typeof body != 'object' || body === null || Array.isArray(body)) return reject("invalid_input", "The item must be a JSON object.");
+
+    var {name, description, rarity, use_slot, currency} = body;
+
+    if(typeof name != 'string' || name.trim().length < 1 || name.length > 64)
+        return reject("invalid_name", "Parameter `name` must be a string between 1 and 64 characters.");
+
+    if(typeof description == 'undefined') description = "";
+    if(typeof description != 'string' || description.length > 1000)
+        return reject("invalid_description", "Parameter `description` must be a string of at most 1000 characters.");
+
+    if(typeof rarity == 'undefined') rarity = "common";
+    if(!ITEM_RARITIES.includes(rarity))
+        return reject("invalid_rarity", `Parameter \`rarity\` must be one of ${ITEM_RARITIES.join(", ")}.`);
+
+    const flags = {};
+    for (const flag of ITEM_FLAGS) {
+        flags[flag] = body[flag] ?? false;
+        if(typeof flags[flag] != 'boolean') return reject("invalid_flag", `Parameter \`${flag}\` must be a boolean.`);
+    }
+
+    if(typeof use_slot == 'undefined') use_slot = null;
+    if(use_slot !== null && (typeof use_slot != 'string' || !Object.keys(await require('./outfits').GetOutfitSlots()).includes(use_slot)))
+        return reject("invalid_use_slot", "Parameter `use_slot` must be one of the configured outfit slots.");
+    if(flags.equippable && use_slot === null)
+        return reject("invalid_use_slot", "Equippable items must have a `use_slot`.");
 
-    if(typeof data.econ.inventory[item_id] != 'number') data.econ.inventory[item_id] = 0;
+    if(typeof currency != 'undefined' && await GetCurrency(currency) === null)
+        return reject("invalid_currency", `Currency ${currency} does not exist.`);
 
-    if(data.econ.inventory[item_id] >= 1) data.econ.inventory[item_id]--;
-    else data.econ.inventory[item_id] = 0;
+    const prices = {};
+    for (const field of ITEM_PRICES) {
+        const price = body[field] ?? null;
+
+        if(typeof price == 'number') {
+            if(!Number.isInteger(price) || price < 0) return reject("invalid_price", `Parameter \`${field}\` must be a non-negative integer.`);
+        }
+        else if(typeof price == 'object' && price !== null && !Array.isArray(price)) {
+            if(Object.keys(price).length < 1) return reject("invalid_price", `Parameter \`${field}\` must list at least one currency.`);
+
+            for (const [currency_id, amount] of Object.entries(price)) {
+                if(!Number.isInteger(amount) || amount < 0) return reject("invalid_price", `The ${currency_id} amount of \`${field}\` must be a non-negative integer.`);
+                if(await GetCurrency(currency_id) === null) return reject("invalid_currency", `Currency ${currency_id} does not exist.`);
+            }
+        }
+        else if(price !== null) return reject("invalid_price", `Parameter \`${field}\` must be a number, a map of currency IDs to amounts, or null.`);
+
+        prices[field] = price;
+    }
 
-    await helpers.PushPlayerData(id, data);
+    if(flags.is_purchasable && prices.buy_price === null) return reject("invalid_price", "Purchasable items must have a `buy_price`.");
+    if(flags.is_giftable && prices.gift_price === null) return reject("invalid_price", "Giftable items must have a `gift_price`.");
+    if(flags.is_refundable && prices.refund_price === null) return reject("invalid_price", "Refundable items must have a `refund_price`.");
+
+    const item = {
+        name: name,
+        description: description,
+        rarity: rarity,
+        use_slot: use_slot,
+        ...flags,
+        ...prices
+    };
+    if(typeof currency != 'undefined') item.currency = currency;
+
+    return {error: null, item: item};
 }
 
-async function GetPlayerCurrency(id) {
-    var data = await helpers.PullPlayerData(id);
-    if(data === null) return null;
-    else return data.econ.currency;
+/**
+ * The current version of the item catalog. It goes up every time an item is created, updated or deleted, so clients know when to refetch it.
+ * @returns {Promise<Number>} The catalog version.
+ */
+async function GetCatalogVersion() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const data = await db.collection('configuration').findOne({_id: {$eq: "ItemCatalog", $exists: true}});
+    return data?.version ?? 0;
+}
+
+/**
+ * Increments the version of the item catalog.
+ * @returns {Promise<Number>} The new catalog version.
+ */
+async function BumpCatalogVersion() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('configuration').findOneAndUpdate(
+        {_id: {$eq: "ItemCatalog"}},
+        {$inc: {version: 1}},
+        {upsert: true, returnDocument: 'after'}
+    );
+    return result.value.version;
+}
+
+//#endregion
+
+//#region ledger
+
+/**
+ * @typedef LedgerChange
+ * @property {String} user_id The ID of the player whose wallet or inventory changes.
+ * @property {Number} [currency] The amount of currency to add, negative to take.
+ * @property {String} [currency_id] The currency of `currency`, the default currency if not set.
+ * @property {Boolean} [ignore_max_balance] Credit the currency even past its maximum balance, used when returning assets held in escrow.
+ * @property {Object<String, Number>} [items] How many of each item ID to add, negative to take.
+ */
+
+/**
+ * Applies currency and inventory changes to one or more players and appends them to the ledger, all in one MongoDB transaction.
+ * Either every change and the ledger entry are written, or none of them are.
+ * @param {String} type The kind of transaction, e.g. `purchase`, `gift`, `refund`, `item_transfer`, `currency_transfer` or `adjustment`.
+ * @param {String} actor The ID of the player or developer who caused the transaction, or `system`.
+ * @param {LedgerChange[]} changes The changes to apply.
+ * @param {Object} details Extra context stored with the entry, such as the item involved.
+ * @param {((session: import('mongodb').ClientSession, db: import('mongodb').Db) => Promise<Boolean>)|null} within Extra work to do inside the same transaction. Return `false` to reject the transaction.
+ * @returns {Promise<Object|null>} The ledger entry, or null if a player does not exist, cannot cover a negative change, would exceed a maximum balance or `within` rejected it.
+ */
+async function ExecuteTransaction(type, actor, changes, details = {}, within = null) {
+    const client = require('../index').mongoClient;
+    const db = client.db(process.env.MONGOOSE_DATABASE_NAME);
+    const accounts = db.collection('accounts');
+    const ledger = db.collection('econ_ledger');
+
+    const currencies = {};
+    for (const change of changes) {
+        if (typeof change.currency != 'number' || change.currency === 0) continue;
+
+        change.currency_id = change.currency_id ?? DEFAULT_CURRENCY;
+        if (Object.keys(currencies).includes(change.currency_id)) continue;
+
+        currencies[change.currency_id] = await GetCurrency(change.currency_id);
+        if (currencies[change.currency_id] === null) throw new Error(`Unknown currency ${change.currency_id}.`);
+    }
+
+    const entry = {
+        type: type,
+        actor: actor,
+        changes: changes,
+        details: details,
+        created_at: new Date()
+    };
+
+    let rejected = false;
+    const session = client.startSession();
+    try {
+        await session.withTransaction(async () => {
+            rejected = false;
+            for (const change of changes) {
+                const filter = {_id: {$eq: change.user_id, $exists: true}};
+                const inc = {data_version: 1};
+
+                if (typeof change.currency == 'number' && change.currency !== 0) {
+                    const path = WalletPath(change.currency_id);
+                    const max_balance = currencies[change.currency_id].max_balance;
+
+                    inc[path] = change.currency;
+                    if (change.currency < 0) filter[path] = {$gte: 0 - change.currency};
+                    // `$not` also matches wallets that do not exist yet.
+                    else if (typeof max_balance == 'number' && !change.ignore_max_balance) filter[path] = {$not: {$gt: max_balance - change.currency}};
+                }
+                for (const [item_id, count] of Object.entries(change.items ?? {})) {
+                    inc[`econ.inventory.${item_id}`] = count;
+                    if (count < 0) filter[`econ.inventory.${item_id}`] = {$gte: 0 - count};
+                }
+
+                const result = await accounts.updateOne(filter, {$inc: inc}, {session});
+                if (result.matchedCount < 1) {
+                    rejected = true;
+                    await session.abortTransaction();
+                    return;
+                }
+            }
+
+            // Items a player no longer owns come off their outfit.
+            const outfits = require('./outfits');
+            for (const change of changes) {
+                const removed = Object.entries(change.items ?? {}).filter(([, count]) => count < 0).map(([item_id]) => item_id);
+                if (removed.length > 0) await outfits.UnequipRemovedItems(change.user_id, removed, session, db);
+            }
+
+            if (within !== null && await within(session, db) === false) {
+                rejected = true;
+                await session.abortTransaction();
+                return;
+            }
+
+            await ledger.insertOne(entry, {session});
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return rejected ? null : entry;
+}
+
+/**
+ * Records the balances and inventories players had before the ledger existed, so they reconcile.
+ * This only runs once per database.
+ */
+async function OpenLedger() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const configuration = db.collection('configuration');
+
+    const marker = await configuration.findOne({_id: {$eq: "EconLedger", $exists: true}});
+    if(marker !== null) return;
+
+    const accounts = await db.collection('accounts').find(
+        {_id: {$ne: "ACCT_TEMPLATE"}},
+        {projection: {econ: 1}}
+    ).toArray();
+
+    const entries = [];
+    for (const account of accounts) {
+        const currency = account.econ?.currency ?? 0;
+        const items = Object.fromEntries(Object.entries(account.econ?.inventory ?? {}).filter(([, count]) => count !== 0));
+        if (currency === 0 && Object.keys(items).length === 0) continue;
+
+        entries.push({
+            // Deterministic IDs make this safe to rerun if the server stopped before writing the marker.
+            _id: `opening:${account._id}`,
+            type: "opening_balance",
+            actor: "system",
+            changes: [{user_id: account._id, currency: currency, currency_id: DEFAULT_CURRENCY, items: items}],
+            details: {},
+            created_at: new Date()
+        });
+    }
+
+    if (entries.length > 0) await db.collection('econ_ledger').bulkWrite(entries.map(entry => ({
+        updateOne: {filter: {_id: {$eq: entry._id}}, update: {$setOnInsert: entry}, upsert: true}
+    })));
+    await configuration.updateOne({_id: {$eq: "EconLedger"}}, {$setOnInsert: {opened_at: Date.now()}}, {upsert: true});
+    console.log(`Opened the economy ledger with ${entries.length} opening balances.`);
+}
+
+/**
+ * Moves balances from the legacy `private.currency` field into `econ.currency`, recording each one in the ledger.
+ * Developer grants used to be written to `private.currency`, which players could never spend.
+ */
+async function MergeLegacyCurrency() {
+    const client = require('../index').mongoClient;
+    const db = client.db(process.env.MONGOOSE_DATABASE_NAME);
+    const accounts = db.collection('accounts');
+
+    const legacy = await accounts.find({'private.currency': {$exists: true}}, {projection: {'private.currency': 1}}).toArray();
+
+    let merged = 0;
+    for (const account of legacy) {
+        const amount = account.private.currency;
+        const filter = {_id: {$eq: account._id}, 'private.currency': {$eq: amount}};
+
+        if (typeof amount != 'number' || amount <= 0 || account._id === "ACCT_TEMPLATE") {
+            await accounts.updateOne(filter, {$unset: {'private.currency': ""}, $inc: {data_version: 1}});
+            continue;
+        }
+
+        const session = client.startSession();
+        try {
+            await session.withTransaction(async () => {
+                const result = await accounts.updateOne(filter, {$unset: {'private.currency': ""}, $inc: {'econ.currency': amount, data_version: 1}}, {session});
+                if (result.matchedCount < 1) {
+                    await session.abortTransaction();
+                    return;
+                }
+
+                await db.collection('econ_ledger').insertOne({
+                    type: "migration",
+                    actor: "system",
+                    changes: [{user_id: account._id, currency: amount, currency_id: DEFAULT_CURRENCY}],
+                    details: {source: "private.currency"},
+                    created_at: new Date()
+                }, {session});
+                merged++;
+            });
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    if (merged > 0) helpers.auditLog(`Merged the legacy currency balances of ${merged} accounts into their wallets.`, false);
+}
+
+/**
+ * Recomputes every player's wallet and inventory from the ledger and compares them with their accounts.
+ * @returns {Promise<{generated_at: Number, checked_accounts: Number, discrepancies: Object[]}>} The reconciliation report.
+ */
+async function ReconcileLedger() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const expected = {};
+    for await (const entry of db.collection('econ_ledger').find({}, {projection: {changes: 1}})) {
+        for (const change of entry.changes) {
+            if (typeof expected[change.user_id] != 'object') expected[change.user_id] = {wallets: {}, items: {}};
+            const balance = expected[change.user_id];
+
+            const currency_id = change.currency_id ?? DEFAULT_CURRENCY;
+            balance.wallets[currency_id] = (balance.wallets[currency_id] ?? 0) + (change.currency ?? 0);
+            for (const [item_id, count] of Object.entries(change.items ?? {}))
+                balance.items[item_id] = (balance.items[item_id] ?? 0) + count;
+        }
+    }
+
+    const discrepancies = [];
+    let checked_accounts = 0;
+    for await (const account of db.collection('accounts').find({_id: {$ne: "ACCT_TEMPLATE"}}, {projection: {econ: 1}})) {
+        checked_accounts++;
+
+        const ledger = expected[account._id] ?? {wallets: {}, items: {}};
+        const actual = {wallets: GetWallets(account), items: account.econ?.inventory ?? {}};
+
+        const currency_ids = new Set([...Object.keys(ledger.wallets), ...Object.keys(actual.wallets)]);
+        const mismatched_currencies = [...currency_ids].filter(currency_id => (ledger.wallets[currency_id] ?? 0) !== (actual.wallets[currency_id] ?? 0));
+
+        const item_ids = new Set([...Object.keys(ledger.items), ...Object.keys(actual.items)]);
+        const mismatched_items = [...item_ids].filter(item_id => (ledger.items[item_id] ?? 0) !== (actual.items[item_id] ?? 0));
+
+        if (mismatched_currencies.length > 0 || mismatched_items.length > 0) discrepancies.push({
+            user_id: account._id,
+            ledger: ledger,
+            actual: actual,
+            mismatched_currencies: mismatched_currencies,
+            mismatched_items: mismatched_items
+        });
+    }
+
+    return {
+        generated_at: Date.now(),
+        checked_accounts: checked_accounts,
+        discrepancies: discrepancies
+    };
 }
 
 //#endregion
@@ -291,10 +940,20 @@ async function GetPlayerCurrency(id) {
 module.exports = {
     router: router,
     PullItem: PullItem,
-    PushItem: PushItem,
     GrantPlayerItem: GrantPlayerItem,
     GetPlayerItemCount: GetPlayerItemCount,
     SubtractPlayerItem: SubtractPlayerItem,
     ModifyPlayerCurrency: ModifyPlayerCurrency,
-    GetPlayerCurrency: GetPlayerCurrency
+    GetPlayerCurrency: GetPlayerCurrency,
+    ExecuteTransaction: ExecuteTransaction,
+    SetPlayerCurrency: SetPlayerCurrency,
+    GetCurrency: GetCurrency,
+    GetWallets: GetWallets,
+    ResolvePrice: ResolvePrice,
+    ValidateItem: ValidateItem,
+    GetCatalogVersion: GetCatalogVersion,
+    DEFAULT_CURRENCY: DEFAULT_CURRENCY,
+    OpenLedger: OpenLedger,
+    MergeLegacyCurrency: MergeLegacyCurrency,
+    ReconcileLedger: ReconcileLedger
 };
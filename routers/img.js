@@ -133,6 +133,8 @@ router.post("/upload", uploadRateLimit, middleware.authenticateToken, async (req
         });
         file.end(buff);
 
+        require('./rewards').TriggerRewards(req.user.id, "photo_uploaded", {image_id: MetaData._id}).catch(console.error);
+
         helpers.auditLog(`Image with ID ${MetaData._id} has been uploaded to the API. Moderator intervention advised to ensure SFW.\nPERMALINK:\n${config.base_url}/img/${MetaData._id}`, true);
 
         // Finalize request
@@ -56,11 +56,14 @@ router.route("/channels/:channel_id/messages")
 
             if(channel.messages.length < count + offset) count -= discrepency;
 
+            // messages from players this player has blocked or muted are hidden
+            const hidden = [...(player_data.private.blocked ?? []), ...(player_data.private.muted ?? [])];
+
             collection = db.collection("messages");
             var send = [];
             for (let index = offset; index < offset + count; index++) {
                 const message = await collection.findOne({_id: {$exists: true, $eq: channel.messages[index]}});
-                if(message !== null) send.push(message);
+                if(message !== null && !hidden.includes(message.author)) send.push(message);
                 else {
                     continue;
                 }
@@ -1,28 +1,310 @@
 const router = require('express').Router();
-const helpers = require('../helpers');
 const middleware = require('../middleware');
+const config = require('../config.json');
+const { v1 } = require('uuid');
 
+/**
+ * @typedef Notification
+ * @property {String} _id The ID of the notification.
+ * @property {String} user_id The ID of the player the notification belongs to.
+ * @property {String} template The template used to display the notification.
+ * @property {Object} parameters The parameters of the notification. (Template specific.)
+ * @property {Date} created_at When the notification was sent.
+ * @property {Boolean} read Whether or not the player has read the notification.
+ * @property {Date|null} read_at When the player read the notification.
+ * @property {Date|null} expires_at When the notification is removed automatically, or null if it never expires.
+ */
 
+const DAY = 24 * 60 * 60 * 1000;
 
+// How long each template lives for, in milliseconds. Null never expires.
+const NOTIFICATION_TTL = {
+    invite: 5 * 60 * 1000,
+    invite_declined: DAY,
+    friendRequest: null,
+    messageRecieved: 30 * DAY,
+    securityAlert: 90 * DAY,
+    tradeOffer: null,
+    room_suspension_notice: 90 * DAY,
+    room_termination_notice: 90 * DAY,
+    ...config.notification_ttl
+};
+const DEFAULT_NOTIFICATION_TTL = 30 * DAY;
+
+//#region routes
+
+// Kept for older clients, returns every notification oldest first.
 router.get("/get/", middleware.authenticateToken, async (req, res) => {
-    const id = req.user.id;
-
-    const data = await helpers.PullPlayerData(id);
-    var copiedNotifications = data.notifications;
-
-    const now = Date.now();
-    data.notifications = copiedNotifications.filter(x => {
-        switch(x.template) {
-            case "invite": 
-                if(parseInt(x.parameters.sentAt) + (5 * 60 * 1000) < now) return false;
-                return true;
-            default:
-                return true;
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const notifications = await db.collection('notifications')
+        .find(ActiveFilter(req.user.id))
+        .sort({created_at: 1})
+        .toArray();
+
+    res.status(200).json(notifications);
+});
+
+router.route("/")
+    .get(middleware.authenticateToken, async (req, res) => {
+        try {
+            var {count, offset, unread} = req.query;
+
+            count = parseInt(count);
+            if(isNaN(count) || count < 1) count = 50;
+            count = Math.min(count, 100);
+
+            offset = parseInt(offset);
+            if(isNaN(offset) || offset < 0) offset = 0;
+
+            const filter = ActiveFilter(req.user.id);
+            if(unread === "true") filter.read = false;
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            const collection = db.collection('notifications');
+
+            return res.status(200).json({
+                total: await collection.countDocuments(filter),
+                unread: await CountUnreadNotifications(req.user.id),
+                notifications: await collection.find(filter).sort({created_at: -1}).skip(offset).limit(count).toArray()
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateToken, async (req, res) => {
+        try {
+            const dismissed = await DismissNotifications(req.user.id, {});
+
+            return res.status(200).json({
+                code: "success",
+                message: `Dismissed ${dismissed} notification(s).`
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
         }
     });
-    if(data.notifications != copiedNotifications) await helpers.PushPlayerData(id, data);
 
-    res.status(200).json(data.notifications);
+router.get("/unread-count", middleware.authenticateToken, async (req, res) => {
+    return res.status(200).json({count: await CountUnreadNotifications(req.user.id)});
+});
+
+router.post("/read-all", middleware.authenticateToken, async (req, res) => {
+    try {
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        await db.collection('notifications').updateMany(
+            {user_id: {$eq: req.user.id}, read: false},
+            {$set: {read: true, read_at: new Date()}}
+        );
+
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
 });
 
-module.exports = router;
\ No newline at end of file
+router.post("/:id/read", middleware.authenticateToken, async (req, res) => {
+    try {
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const result = await db.collection('notifications').updateOne(
+            {...ActiveFilter(req.user.id), _id: {$eq: req.params.id}},
+            [{$set: {read: true, read_at: {$ifNull: ["$read_at", "$$NOW"]}}}]
+        );
+        if(result.matchedCount < 1) return res.status(404).json({
+            code: "notification_not_found",
+            message: "No notification exists with that ID."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.delete("/:id", middleware.authenticateToken, async (req, res) => {
+    try {
+        if(await DismissNotifications(req.user.id, {_id: {$eq: req.params.id}}) < 1) return res.status(404).json({
+            code: "notification_not_found",
+            message: "No notification exists with that ID."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+//#endregion
+
+//#region functions
+
+/**
+ * The query matching a player's notifications that have not expired.
+ * Expired notifications are removed by a TTL index, but that can lag behind by up to a minute.
+ * @param {String} user_id The ID of the player.
+ * @returns {Object} The query.
+ */
+function ActiveFilter(user_id) {
+    return {
+        user_id: {$eq: user_id},
+        $or: [{expires_at: null}, {expires_at: {$gt: new Date()}}]
+    };
+}
+
+/**
+ * Stores a notification for a player. This does not send them a WebSocket message.
+ * @param {String} user_id The ID of the player to notify.
+ * @param {String} template The template to use for the notification.
+ * @param {Object} parameters The parameters of the notification. (Template specific.)
+ * @param {Object|null} unless A query on the player's notifications, such as `{template: "invite", "parameters.sendingPlayer": id}`. If an unexpired notification matches it, nothing is stored.
+ * @returns {Promise<Notification|null>} The notification, or null if `unless` matched.
+ */
+async function CreateNotification(user_id, template, parameters, unless = null) {
+    const now = new Date();
+    const ttl = Object.keys(NOTIFICATION_TTL).includes(template) ? NOTIFICATION_TTL[template] : DEFAULT_NOTIFICATION_TTL;
+
+    const notification = {
+        _id: v1(),
+        user_id: user_id,
+        template: template,
+        parameters: parameters,
+        created_at: now,
+        read: false,
+        read_at: null,
+        expires_at: ttl === null ? null : new Date(now.getTime() + ttl)
+    };
+
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    if(unless === null) {
+        await db.collection('notifications').insertOne(notification);
+        return notification;
+    }
+
+    // Expired matches the TTL index has not removed yet would otherwise hit the unique index on invites.
+    await db.collection('notifications').deleteMany({...unless, user_id: {$eq: user_id}, expires_at: {$lte: now}});
+    try {
+        const result = await db.collection('notifications').updateOne(
+            {...unless, ...ActiveFilter(user_id)},
+            {$setOnInsert: notification},
+            {upsert: true}
+        );
+        return result.upsertedCount > 0 ? notification : null;
+    } catch (ex) {
+        // A concurrent call stored the same notification first.
+        if(ex.code === 11000) return null;
+        throw ex;
+    }
+}
+
+/**
+ * Finds the newest unexpired notification of a player matching a query.
+ * @param {String} user_id The ID of the player.
+ * @param {Object} query The query, e.g. `{template: "invite", "parameters.sendingPlayer": id}`.
+ * @returns {Promise<Notification|null>} The notification, or null if none match.
+ */
+async function FindNotification(user_id, query) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('notifications').findOne({...query, ...ActiveFilter(user_id)}, {sort: {created_at: -1}});
+}
+
+/**
+ * Removes every notification of a player matching a query.
+ * @param {String} user_id The ID of the player.
+ * @param {Object} query The query, `{}` to remove every notification.
+ * @returns {Promise<Number>} The number of notifications removed.
+ */
+async function DismissNotifications(user_id, query) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('notifications').deleteMany({...query, user_id: {$eq: user_id}});
+    return result.deletedCount;
+}
+
+/**
+ * Counts a player's unread notifications.
+ * @param {String} user_id The ID of the player.
+ * @returns {Promise<Number>} The number of unread notifications.
+ */
+async function CountUnreadNotifications(user_id) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('notifications').countDocuments({...ActiveFilter(user_id), read: false});
+}
+
+/**
+ * Moves notifications stored on accounts, from before the notification store existed, into the store.
+ * Accounts without embedded notifications are skipped, so this is cheap after the first run.
+ */
+async function MigrateNotifications() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const accounts = await db.collection('accounts').find(
+        {notifications: {$exists: true}},
+        {projection: {notifications: 1}}
+    ).toArray();
+
+    let moved = 0;
+    for (const account of accounts) {
+        const notifications = (account.notifications ?? []).map((x, index) => {
+            // Invites are the only legacy notifications that recorded when they were sent.
+            const created_at = typeof x.parameters?.sentAt == 'string' ? new Date(parseInt(x.parameters.sentAt)) : new Date();
+            const ttl = Object.keys(NOTIFICATION_TTL).includes(x.template) ? NOTIFICATION_TTL[x.template] : DEFAULT_NOTIFICATION_TTL;
+
+            return {
+                // Deterministic IDs make this safe to rerun if the server stopped before the account was cleaned up.
+                _id: `migrated:${account._id}:${index}`,
+                user_id: account._id,
+                template: x.template,
+                parameters: x.parameters ?? {},
+                created_at: created_at,
+                read: false,
+                read_at: null,
+                expires_at: ttl === null ? null : new Date(created_at.getTime() + ttl)
+            };
+        });
+
+        if(notifications.length > 0) await db.collection('notifications').bulkWrite(notifications.map(notification => ({
+            updateOne: {filter: {_id: {$eq: notification._id}}, update: {$setOnInsert: notification}, upsert: true}
+        })));
+        await db.collection('accounts').updateOne({_id: {$eq: account._id}}, {$unset: {notifications: ""}, $inc: {data_version: 1}});
+        moved += notifications.length;
+    }
+
+    if(moved > 0) console.log(`Moved ${moved} notifications into the notification store.`);
+}
+
+//#endregion
+
+module.exports = {
+    router: router,
+    CreateNotification: CreateNotification,
+    FindNotification: FindNotification,
+    DismissNotifications: DismissNotifications,
+    CountUnreadNotifications: CountUnreadNotifications,
+    MigrateNotifications: MigrateNotifications
+};
@@ -0,0 +1,338 @@
+const router = require('express').Router();
+const helpers = require('../helpers');
+const middleware = require('../middleware');
+const config = require('../config.json');
+const { PullItem } = require('./econ');
+
+/**
+ * @typedef OutfitSlot
+ * @property {String} display_name The name of the slot shown to players.
+ * @property {String[]} exclusive_with Slots that are cleared when an item is equipped in this one, and the other way around.
+ */
+
+// Used until a developer configures the `outfit_slots` global.
+const DEFAULT_OUTFIT_SLOTS = {
+    head: {display_name: "Head", exclusive_with: []},
+    hair: {display_name: "Hair", exclusive_with: []},
+    face: {display_name: "Face", exclusive_with: []},
+    torso: {display_name: "Torso", exclusive_with: ["full_body"]},
+    legs: {display_name: "Legs", exclusive_with: ["full_body"]},
+    feet: {display_name: "Feet", exclusive_with: []},
+    hands: {display_name: "Hands", exclusive_with: []},
+    back: {display_name: "Back", exclusive_with: []},
+    full_body: {display_name: "Full Body", exclusive_with: ["torso", "legs"]}
+};
+
+const SLOT_ID_REGEX = /^[A-Za-z0-9_:-]{1,64}$/;
+const PRESET_NAME_REGEX = /^[A-Za-z0-9 _-]{1,32}$/;
+const MAX_OUTFIT_PRESETS = config.max_outfit_presets ?? 10;
+
+//#region routes
+
+router.route("/slots")
+    .get(async (req, res) => {
+        return res.status(200).json(await GetOutfitSlots());
+    })
+    .put(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            var {slots} = req.body;
+
+            const error = ValidateOutfitSlots(slots);
+            if(error !== null) return res.status(400).json({
+                code: "invalid_slots",
+                message: error
+            });
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            await db.collection('global').updateOne({_id: {$eq: "outfit_slots"}}, {$set: {data: slots}}, {upsert: true});
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} updated the outfit slots: ${JSON.stringify(slots)}`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+router.post("/clear", middleware.authenticateToken, async (req, res) => {
+    try {
+        var {slot} = req.body;
+        if(typeof slot != 'undefined' && typeof slot != 'string') return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `slot` must be a string, or omitted to clear every slot."
+        });
+
+        const data = await helpers.ModifyPlayerData(req.user.id, (data) => {
+            if(typeof slot == 'undefined') data.public.outfit = {};
+            else delete data.public.outfit?.[slot];
+            data.private.active_outfit = null;
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful.",
+            outfit: data.public.outfit
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.get("/presets", middleware.authenticateToken, async (req, res) => {
+    const data = await helpers.PullPlayerData(req.user.id);
+    return res.status(200).json({
+        active: data.private.active_outfit ?? null,
+        presets: data.private.outfits ?? {}
+    });
+});
+
+router.route("/presets/:name")
+    .put(middleware.authenticateToken, async (req, res) => {
+        try {
+            var {name} = req.params;
+            // Names like `__proto__` or `constructor` would write to the object's prototype instead of saving an outfit.
+            if(!PRESET_NAME_REGEX.test(name) || name in Object.prototype) return res.status(400).json({
+                code: "invalid_preset_name",
+                message: "Outfit names must be 1 to 32 letters, numbers, spaces, underscores or dashes."
+            });
+
+            let full = false;
+            // Saves whatever the player is currently wearing.
+            await helpers.ModifyPlayerData(req.user.id, (data) => {
+                const presets = data.private.outfits ?? {};
+                if(!Object.hasOwn(presets, name) && Object.keys(presets).length >= MAX_OUTFIT_PRESETS) {
+                    full = true;
+                    return false;
+                }
+
+                presets[name] = {...data.public.outfit};
+                data.private.outfits = presets;
+                data.private.active_outfit = name;
+            });
+            if(full) return res.status(400).json({
+                code: "too_many_presets",
+                message: `You can only save ${MAX_OUTFIT_PRESETS} outfits. Delete one to save another.`
+            });
+
+            return res.status(200).json({
+                code: "success",
+                message: "Outfit saved."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateToken, async (req, res) => {
+        try {
+            var {name} = req.params;
+
+            const data = await helpers.ModifyPlayerData(req.user.id, (data) => {
+                if(!Object.hasOwn(data.private.outfits ?? {}, name)) return false;
+
+                delete data.private.outfits[name];
+                if(data.private.active_outfit === name) data.private.active_outfit = null;
+            });
+            if(data === null) return res.status(404).json({
+                code: "preset_not_found",
+                message: "You do not have an outfit with that name."
+            });
+
+            return res.status(200).json({
+                code: "success",
+                message: "Outfit deleted."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+router.post("/presets/:name/apply", middleware.authenticateToken, async (req, res) => {
+    try {
+        var {name} = req.params;
+
+        const player = await helpers.PullPlayerData(req.user.id);
+        if(!Object.hasOwn(player.private.outfits ?? {}, name)) return res.status(404).json({
+            code: "preset_not_found",
+            message: "You do not have an outfit with that name."
+        });
+        const preset = player.private.outfits[name];
+
+        // Slots and items can change after an outfit is saved, so only what is still valid gets worn.
+        const slots = await GetOutfitSlots();
+        const outfit = {};
+        for (const [slot, item_id] of Object.entries(preset)) {
+            if(!Object.keys(slots).includes(slot)) continue;
+
+            const item = await PullItem(item_id);
+            if(item === null || !item.equippable || item.use_slot !== slot) continue;
+
+            outfit[slot] = item_id;
+        }
+
+        const data = await helpers.ModifyPlayerData(req.user.id, (data) => {
+            const inventory = data.econ.inventory ?? {};
+            data.public.outfit = Object.fromEntries(Object.entries(outfit).filter(([, item_id]) => (inventory[item_id] ?? 0) > 0));
+            data.private.active_outfit = name;
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "Outfit applied.",
+            outfit: data.public.outfit,
+            skipped: Object.keys(preset).filter(slot => typeof data.public.outfit[slot] == 'undefined')
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+//#endregion
+
+//#region functions
+
+/**
+ * Fetches the outfit slot table.
+ * @returns {Promise<Object<String, OutfitSlot>>} A map of slot IDs to slots.
+ */
+async function GetOutfitSlots() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const doc = await db.collection('global').findOne({_id: {$eq: "outfit_slots", $exists: true}});
+    return doc?.data ?? DEFAULT_OUTFIT_SLOTS;
+}
+
+/**
+ * Checks a slot table submitted by a developer.
+ * @param {any} slots The submitted table.
+ * @returns {String|null} A message describing what is wrong with the table, or null if it is valid.
+ */
+function ValidateOutfitSlots(slots) {
+    if(typeof slots != 'object' || slots === null || Array.isArray(slots)) return "Parameter `slots` must map slot IDs to slots.";
+
+    for (const [id, slot] of Object.entries(slots)) {
+        // Slot IDs become part of outfit field paths.
+        if(!SLOT_ID_REGEX.test(id)) return `Slot ID ${id} may only contain letters, numbers, underscores, colons and dashes.`;
+        if(typeof slot != 'object' || slot === null) return `Slot ${id} must be an object.`;
+        if(typeof slot.display_name != 'string') return `Slot ${id} must have a \`display_name\`.`;
+        if(!Array.isArray(slot.exclusive_with)) return `Slot ${id} must have an \`exclusive_with\` array.`;
+
+        for (const other of slot.exclusive_with) {
+            if(other === id) return `Slot ${id} cannot be exclusive with itself.`;
+            if(!Object.keys(slots).includes(other)) return `Slot ${id} is exclusive with ${other}, which does not exist.`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Works out which slots must be emptied when something is worn in a slot.
+ * @param {Object<String, OutfitSlot>} slots The slot table.
+ * @param {String} slot_id The slot being worn.
+ * @returns {String[]} The IDs of the conflicting slots.
+ */
+function GetConflictingSlots(slots, slot_id) {
+    const conflicts = new Set(slots[slot_id]?.exclusive_with ?? []);
+    for (const [id, slot] of Object.entries(slots)) {
+        if(slot.exclusive_with.includes(slot_id)) conflicts.add(id);
+    }
+    return [...conflicts];
+}
+
+/**
+ * Wears an item in its slot, taking off anything in a conflicting slot.
+ * @param {String} user_id The ID of the player.
+ * @param {String} item_id The ID of the item.
+ * @returns {Promise<{code: String, message: String, outfit?: Object<String, String>}>} The result, `success` if the item was equipped.
+ */
+async function EquipItem(user_id, item_id) {
+    const item = await PullItem(item_id);
+    if(item === null) return {code: "item_not_found", message: "That item does not exist!"};
+    if(!item.equippable) return {code: "not_equippable", message: "That item is not equippable!"};
+
+    const slots = await GetOutfitSlots();
+    if(!Object.keys(slots).includes(item.use_slot)) return {code: "invalid_slot", message: "That item is worn in a slot that no longer exists."};
+
+    const data = await helpers.ModifyPlayerData(user_id, (data) => {
+        if((data.econ.inventory?.[item_id] ?? 0) < 1) return false;
+
+        data.public.outfit = data.public.outfit ?? {};
+        for (const slot of GetConflictingSlots(slots, item.use_slot)) delete data.public.outfit[slot];
+        data.public.outfit[item.use_slot] = item_id;
+        data.private.active_outfit = null;
+    });
+    if(data === null) return {code: "not_owned", message: "You do not own that item!"};
+
+    return {code: "success", message: "Item equipped.", outfit: data.public.outfit};
+}
+
+/**
+ * Takes an item off wherever it is worn.
+ * @param {String} user_id The ID of the player.
+ * @param {String} item_id The ID of the item.
+ * @returns {Promise<Boolean>} Whether or not the item was being worn.
+ */
+async function UnequipItem(user_id, item_id) {
+    const data = await helpers.ModifyPlayerData(user_id, (data) => {
+        const slots = Object.keys(data.public.outfit ?? {}).filter(slot => data.public.outfit[slot] === item_id);
+        if(slots.length < 1) return false;
+
+        for (const slot of slots) delete data.public.outfit[slot];
+        data.private.active_outfit = null;
+    });
+    return data !== null;
+}
+
+/**
+ * Takes off items a player no longer owns. Runs inside a ledger transaction, see `ExecuteTransaction`.
+ * @param {String} user_id The ID of the player.
+ * @param {String[]} item_ids The items the player lost copies of.
+ * @param {import('mongodb').ClientSession} session The transaction's session.
+ * @param {import('mongodb').Db} db The database.
+ */
+async function UnequipRemovedItems(user_id, item_ids, session, db) {
+    const data = await db.collection('accounts').findOne(
+        {_id: {$eq: user_id, $exists: true}},
+        {projection: {"public.outfit": 1, "econ.inventory": 1}, session}
+    );
+    if(data === null) return;
+
+    const unset = {};
+    for (const [slot, item_id] of Object.entries(data.public?.outfit ?? {})) {
+        if(item_ids.includes(item_id) && (data.econ?.inventory?.[item_id] ?? 0) < 1) unset[`public.outfit.${slot}`] = "";
+    }
+    if(Object.keys(unset).length < 1) return;
+
+    await db.collection('accounts').updateOne({_id: {$eq: user_id}}, {$unset: unset, $inc: {data_version: 1}}, {session});
+}
+
+//#endregion
+
+module.exports = {
+    router: router,
+    GetOutfitSlots: GetOutfitSlots,
+    EquipItem: EquipItem,
+    UnequipItem: UnequipItem,
+    UnequipRemovedItems: UnequipRemovedItems
+};
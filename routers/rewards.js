@@ -0,0 +1,383 @@
+const router = require('express').Router();
+const helpers = require('../helpers');
+const middleware = require('../middleware');
+const { v1 } = require('uuid');
+const { ExecuteTransaction, PullItem, GetCurrency } = require('./econ');
+
+/**
+ * @typedef RewardGrant
+ * @property {Object<String, Number>} currencies How much of each currency ID is granted.
+ * @property {Object<String, Number>} items How many of each item ID are granted.
+ */
+
+/**
+ * @typedef RewardDefinition
+ * @property {String} _id The ID of the reward.
+ * @property {String} name A name for the reward, shown to players.
+ * @property {"daily_login"|"login_streak"|"first_room_published"|"photo_uploaded"} trigger What earns the reward.
+ * @property {RewardGrant} grant What the reward gives.
+ * @property {Number} [streak_days] Login streaks: how many consecutive days of logging in earn the reward.
+ * @property {Boolean} [repeat] Login streaks: earn the reward again every `streak_days` days of the same streak.
+ * @property {Number|null} [daily_limit] Photos: how many times per day the reward can be earned, or null for no limit.
+ * @property {Boolean} enabled Whether or not the reward can currently be earned.
+ */
+
+/**
+ * @typedef RewardClaim
+ * @property {String} _id The ID of the claim.
+ * @property {String} user_id The ID of the player who earned the reward.
+ * @property {String} reward_id The ID of the reward earned.
+ * @property {String} name The name of the reward when it was earned.
+ * @property {String} key What the reward was earned for, e.g. the day, the photo or the day's photo slot. A player earns each reward once per key.
+ * @property {RewardGrant} grant What the reward gives, as of when it was earned.
+ * @property {"pending"|"claimed"} status Whether or not the player has collected the reward.
+ * @property {Number} created_at When the reward was earned.
+ * @property {Number|null} claimed_at When the reward was collected.
+ */
+
+const REWARD_TRIGGERS = ["daily_login", "login_streak", "first_room_published", "photo_uploaded"];
+const REWARD_ID_REGEX = /^[A-Za-z0-9_:-]{1,64}$/;
+
+//#region routes
+
+router.get("/", middleware.authenticateToken, async (req, res) => {
+    const data = await helpers.PullPlayerData(req.user.id);
+
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const pending = await db.collection('reward_claims')
+        .find({user_id: {$eq: req.user.id}, status: "pending"})
+        .sort({created_at: 1})
+        .toArray();
+
+    return res.status(200).json({
+        streak: data.private.login_streak ?? null,
+        pending: pending
+    });
+});
+
+router.post("/claim", middleware.authenticateToken, async (req, res) => {
+    try {
+        var {claim_id} = req.body;
+        if(typeof claim_id != 'undefined' && typeof claim_id != 'string') return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `claim_id` must be a string, or omitted to claim every pending reward."
+        });
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const filter = {user_id: {$eq: req.user.id}, status: "pending"};
+        if(typeof claim_id == 'string') filter._id = {$eq: claim_id};
+
+        const pending = await db.collection('reward_claims').find(filter).toArray();
+        if(typeof claim_id == 'string' && pending.length < 1) return res.status(404).json({
+            code: "reward_not_found",
+            message: "You have no pending reward with that ID."
+        });
+
+        const claimed = [];
+        const failed = [];
+        for (const claim of pending) {
+            if(await ClaimReward(claim)) claimed.push(claim._id);
+            else failed.push(claim._id);
+        }
+
+        if(typeof claim_id == 'string' && failed.length > 0) return res.status(400).json({
+            code: "claim_failed",
+            message: "That reward could not be claimed. You may not be able to hold that much currency."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: `Claimed ${claimed.length} reward(s).`,
+            claimed: claimed,
+            failed: failed
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.get("/history", middleware.authenticateToken, async (req, res) => {
+    var {count, offset} = req.query;
+
+    count = parseInt(count);
+    if(isNaN(count) || count < 1) count = 50;
+    count = Math.min(count, 100);
+
+    offset = parseInt(offset);
+    if(isNaN(offset) || offset < 0) offset = 0;
+
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const history = await db.collection('reward_claims')
+        .find({user_id: {$eq: req.user.id}})
+        .sort({created_at: -1})
+        .skip(offset)
+        .limit(count)
+        .toArray();
+
+    return res.status(200).json(history);
+});
+
+router.get("/definitions", async (req, res) => {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return res.status(200).json(await db.collection('rewards').find({enabled: true}).toArray());
+});
+
+router.route("/definitions/:id")
+    .put(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            var {id} = req.params;
+            if(!REWARD_ID_REGEX.test(id)) return res.status(400).json({
+                code: "invalid_input",
+                message: "Reward IDs may only contain letters, numbers, underscores, colons and dashes."
+            });
+
+            const reward = await ValidateRewardDefinition(req.body);
+            if(typeof reward == 'string') return res.status(400).json({
+                code: "invalid_reward",
+                message: reward
+            });
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            await db.collection('rewards').replaceOne({_id: {$eq: id}}, reward, {upsert: true});
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} updated reward ${id}: ${JSON.stringify(reward)}`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    })
+    .delete(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            var {id} = req.params;
+
+            // Rewards players already earned can still be claimed.
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            const result = await db.collection('rewards').deleteOne({_id: {$eq: id, $exists: true}});
+            if(result.deletedCount < 1) return res.status(404).json({
+                code: "reward_not_found",
+                message: "No reward exists with that ID."
+            });
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} deleted reward ${id}.`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The operation was successful."
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+//#endregion
+
+//#region functions
+
+/**
+ * The UTC day of a time, used to key daily rewards.
+ * @param {Number} time A unix timestamp in milliseconds.
+ * @returns {String} The day, as `YYYY-MM-DD`.
+ */
+function GetDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Updates a player's login streak and awards any login rewards they earned. Only the first login of each UTC day counts.
+ * @param {String} user_id The ID of the player who logged in.
+ */
+async function RecordLogin(user_id) {
+    const now = Date.now();
+    const today = GetDay(now);
+    const yesterday = GetDay(now - 24 * 60 * 60 * 1000);
+
+    const data = await helpers.ModifyPlayerData(user_id, (data) => {
+        const streak = data.private.login_streak ?? {count: 0, last_day: null, started_on: null};
+        if(streak.last_day === today) return false;
+
+        if(streak.last_day === yesterday) streak.count++;
+        else {
+            streak.count = 1;
+            streak.started_on = today;
+        }
+        streak.last_day = today;
+        data.private.login_streak = streak;
+    });
+    if(data === null) return;
+
+    await TriggerRewards(user_id, "daily_login", {day: today});
+    await TriggerRewards(user_id, "login_streak", {streak: data.private.login_streak});
+}
+
+/**
+ * Awards a player every enabled reward for a trigger. Each reward is only awarded once per key, so repeating a trigger is harmless.
+ * Awarded rewards are pending until the player claims them.
+ * @param {String} user_id The ID of the player.
+ * @param {"daily_login"|"login_streak"|"first_room_published"|"photo_uploaded"} trigger What happened.
+ * @param {Object} context Details of what happened: `day` for daily logins, `streak` for login streaks and `image_id` for photos.
+ * @returns {Promise<RewardClaim[]>} The rewards newly awarded.
+ */
+async function TriggerRewards(user_id, trigger, context = {}) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const rewards = await db.collection('rewards').find({trigger: {$eq: trigger}, enabled: true}).toArray();
+
+    const awarded = [];
+    for (const reward of rewards) {
+        // The first key nobody has been awarded for yet wins, so limits hold even when triggers race.
+        for (const key of GetRewardKeys(reward, context)) {
+            const claim = {
+                _id: v1(),
+                user_id: user_id,
+                reward_id: reward._id,
+                name: reward.name,
+                key: key,
+                grant: reward.grant,
+                status: "pending",
+                created_at: Date.now(),
+                claimed_at: null
+            };
+
+            try {
+                await db.collection('reward_claims').insertOne(claim);
+                awarded.push(claim);
+                break;
+            } catch (ex) {
+                // Already awarded for this key.
+                if(ex.code !== 11000) throw ex;
+            }
+        }
+    }
+    return awarded;
+}
+
+/**
+ * Works out what a reward could be earned for, which is what makes awarding it idempotent.
+ * Rewards with a daily limit get one key per slot of the day, so the unique index on claims enforces the limit.
+ * @param {RewardDefinition} reward The reward.
+ * @param {Object} context Details of what happened, see `TriggerRewards`.
+ * @returns {String[]} The keys to try in order, empty if the reward has not been earned.
+ */
+function GetRewardKeys(reward, context) {
+    switch (reward.trigger) {
+    case "daily_login":
+        return [context.day];
+    case "login_streak": {
+        const {count, started_on} = context.streak;
+        if(count < reward.streak_days) return [];
+        if(!reward.repeat) return [`streak:${started_on}`];
+        if(count % reward.streak_days !== 0) return [];
+        return [`streak:${started_on}:${count}`];
+    }
+    case "first_room_published":
+        return ["once"];
+    case "photo_uploaded": {
+        if(typeof reward.daily_limit != 'number') return [`photo:${context.image_id}`];
+
+        const today = GetDay(Date.now());
+        return Array.from({length: reward.daily_limit}, (_, slot) => `photo:${today}:${slot}`);
+    }
+    default:
+        return [];
+    }
+}
+
+/**
+ * Gives a player a pending reward, recording it in the ledger.
+ * @param {RewardClaim} claim The pending reward.
+ * @returns {Promise<Boolean>} Whether or not the reward was claimed. Fails if it was already claimed or the player cannot hold that much currency.
+ */
+async function ClaimReward(claim) {
+    const changes = Object.entries(claim.grant.currencies).map(([currency_id, amount]) => ({
+        user_id: claim.user_id,
+        currency: amount,
+        currency_id: currency_id
+    }));
+    if(Object.keys(claim.grant.items).length > 0) changes.push({user_id: claim.user_id, items: claim.grant.items});
+
+    const transaction = await ExecuteTransaction("reward", "system", changes, {reward_id: claim.reward_id, claim_id: claim._id}, async (session, db) => {
+        const result = await db.collection('reward_claims').updateOne(
+            {_id: {$eq: claim._id}, status: "pending"},
+            {$set: {status: "claimed", claimed_at: Date.now()}},
+            {session}
+        );
+        return result.modifiedCount > 0;
+    });
+    return transaction !== null;
+}
+
+/**
+ * Checks a reward definition submitted by a developer.
+ * @param {any} body The submitted definition.
+ * @returns {Promise<Omit<RewardDefinition, "_id">|String>} The definition to store, or a message describing what is wrong with it.
+ */
+async function ValidateRewardDefinition(body) {
+    var {name, trigger, grant, streak_days, repeat, daily_limit, enabled} = body;
+
+    if(typeof name != 'string' || name.length < 1) return "Parameter `name` must be a non-empty string.";
+    if(!REWARD_TRIGGERS.includes(trigger)) return `Parameter \`trigger\` must be one of ${REWARD_TRIGGERS.join(", ")}.`;
+    if(typeof enabled == 'undefined') enabled = true;
+    if(typeof enabled != 'boolean') return "Parameter `enabled` must be a boolean.";
+
+    if(typeof grant != 'object' || grant === null) return "Parameter `grant` must be an object with `currencies` and `items`.";
+    const currencies = grant.currencies ?? {};
+    const items = grant.items ?? {};
+    if(typeof currencies != 'object' || Array.isArray(currencies) || typeof items != 'object' || Array.isArray(items))
+        return "`grant.currencies` and `grant.items` must map IDs to amounts.";
+    if(Object.keys(currencies).length < 1 && Object.keys(items).length < 1) return "A reward must grant at least one item or currency.";
+
+    for (const [currency_id, amount] of Object.entries(currencies)) {
+        if(!Number.isInteger(amount) || amount < 1) return `The amount of ${currency_id} must be a positive integer.`;
+        if(await GetCurrency(currency_id) === null) return `Currency ${currency_id} does not exist.`;
+    }
+    for (const [item_id, count] of Object.entries(items)) {
+        if(!Number.isInteger(count) || count < 1) return `The count of item ${item_id} must be a positive integer.`;
+        if(await PullItem(item_id) === null) return `Item ${item_id} does not exist.`;
+    }
+
+    const reward = {
+        name: name,
+        trigger: trigger,
+        grant: {currencies: currencies, items: items},
+        enabled: enabled
+    };
+
+    if(trigger === "login_streak") {
+        if(!Number.isInteger(streak_days) || streak_days < 2) return "Login streak rewards need `streak_days`, an integer of at least 2.";
+        if(typeof repeat == 'undefined') repeat = false;
+        if(typeof repeat != 'boolean') return "Parameter `repeat` must be a boolean.";
+
+        reward.streak_days = streak_days;
+        reward.repeat = repeat;
+    }
+
+    if(trigger === "photo_uploaded") {
+        if(typeof daily_limit == 'undefined') daily_limit = null;
+        if(daily_limit !== null && (!Number.isInteger(daily_limit) || daily_limit < 1)) return "Parameter `daily_limit` must be a positive integer or null.";
+
+        reward.daily_limit = daily_limit;
+    }
+
+    return reward;
+}
+
+//#endregion
+
+module.exports = {
+    router: router,
+    RecordLogin: RecordLogin,
+    TriggerRewards: TriggerRewards
+};
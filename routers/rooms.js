@@ -4,9 +4,10 @@ const Fuse = require('fuse.js');
 const express = require('express');
 const { getStorage } = require('firebase-admin/storage');
 const { v1 } = require('uuid');
-const { auditLog, PullPlayerData } = require('../helpers');
+const { auditLog, PullPlayerData, NotifyPlayer } = require('../helpers');
 const { default: rateLimit } = require('express-rate-limit');
 const { WebSocketV2_MessageTemplate } = require('../index');
+const config = require('../config.json');
 
 // Base URL: /api/rooms/...
 
@@ -43,6 +44,8 @@ const AuditEventType = {
     PublicVersionUpdate: "public_version_updated",
     /** Logged when a user changes the content flags on this room. */
     ContentFlagsUpdate: "content_flags_updated",
+    /** Logged when a user changes the access price or tip settings of this room. */
+    MonetizationUpdate: "monetization_updated",
     /** MAJOR - Logged when a developer suspends this room, locking everyone out until moderation review concludes. */
     RoomSuspendedByDeveloper: "room_suspended",
     /** MAJOR - Logged when a developer terminates this room, permanently locking it from all users. */
@@ -105,7 +108,7 @@ router.route("/room/:room_id/info")
             }
 
             // refetch the room using projection so we're not exposing permissions and subroom data to the user
-            const room_visible = await room_collection.findOne({_id: {$eq: room_id, $exists: true}}, {projection: {_id: 1, name: 1, description: 1, creator_id: 1, tags: 1, created_at: 1, visits: 1, homeSubroomId: 1, cover_image_id: 1, contentFlags: 1}});
+            const room_visible = await room_collection.findOne({_id: {$eq: room_id, $exists: true}}, {projection: {_id: 1, name: 1, description: 1, creator_id: 1, tags: 1, created_at: 1, visits: 1, homeSubroomId: 1, cover_image_id: 1, contentFlags: 1, monetization: 1}});
             return res.status(200).json(room_visible);
         } catch (ex) {
             res.sendStatus(500);
@@ -429,6 +432,8 @@ router.post('/room/:id/subrooms/:subroom_id/versions/public', authenticateToken,
             previous_value: room.subrooms[subroom_id].publicVersionId,
             new_value: version_id
         });
+
+        require('./rewards').TriggerRewards(room.creator_id, "first_room_published").catch(console.error);
         
         return res.status(200).json({
             "code": "success",
@@ -589,6 +594,7 @@ router.post('/room/:id/moderation-suspend', authenticateDeveloperToken, async (r
                     "userPermissions": {},
                     "rolePermissions.everyone.viewAndJoin": false,
                     "rolePermissions.everyone.managePermissions": false,
+                    "rolePermissions.everyone.manageMonetization": false,
                     "description": "This room has been suspended by the Compensation server moderation team for possible violations of our community standards.",
                 }
             }
@@ -603,8 +609,6 @@ router.post('/room/:id/moderation-suspend', authenticateDeveloperToken, async (r
 
         auditLog(`!! MODERATION ACTION !! - User ${req.user.id} **suspended** room ${room_id}`);
 
-        const players = db.collection("accounts");
-
         /** @type {string} */
         var roomname = room.name;
 
@@ -612,25 +616,10 @@ router.post('/room/:id/moderation-suspend', authenticateDeveloperToken, async (r
             roomname = roomname.replace("</noparse>", "<\\\\noparse>");
         }
 
-        await players.updateOne(
-            {
-                _id: {
-                    $eq: room.creator_id,
-                    $exists: true
-                }
-            },
-            {
-                $push: {
-                    "notifications": {
-                        template: "room_suspension_notice",
-                        parameters: {
-                            "headerText": "<smallcaps><color=red>Urgent Moderation Notice",
-                            "bodyText": `We regret to inform you that your room <noparse>"${roomname}"</noparse> has been <color=yellow>suspended</color> by the Compensation server moderation team.`
-                        }
-                    }
-                }
-            }
-        );
+        await NotifyPlayer(room.creator_id, "room_suspension_notice", {
+            "headerText": "<smallcaps><color=red>Urgent Moderation Notice",
+            "bodyText": `We regret to inform you that your room <noparse>"${roomname}"</noparse> has been <color=yellow>suspended</color> by the Compensation server moderation team.`
+        });
 
         var send = WebSocketV2_MessageTemplate;
         send.code = "urgent_notification_recieved";
@@ -726,8 +715,6 @@ router.post("/room/:id/moderation-terminate", authenticateDeveloperToken, async
 
         auditLog(`!! MODERATION ACTION !! - User ${req.user.id} **terminated** room ${room_id}!`);
 
-        const players = db.collection("accounts");
-
         /** @type {string} */
         var roomname = room.name;
 
@@ -735,25 +722,10 @@ router.post("/room/:id/moderation-terminate", authenticateDeveloperToken, async
             roomname = roomname.replace("</noparse>", "<\\\\noparse>");
         }
 
-        await players.updateOne(
-            {
-                _id: {
-                    $eq: room.creator_id,
-                    $exists: true
-                }
-            },
-            {
-                $push: {
-                    "notifications": {
-                        template: "room_termination_notice",
-                        parameters: {
-                            "headerText": "<smallcaps><color=red>Urgent Moderation Notice",
-                            "bodyText": `We regret to inform you that your room <noparse>"${roomname}"</noparse> has been <color=#FF5566>Terminated</color> by the Compensation server moderation team.`
-                        }
-                    }
-                }
-            }
-        );
+        await NotifyPlayer(room.creator_id, "room_termination_notice", {
+            "headerText": "<smallcaps><color=red>Urgent Moderation Notice",
+            "bodyText": `We regret to inform you that your room <noparse>"${roomname}"</noparse> has been <color=#FF5566>Terminated</color> by the Compensation server moderation team.`
+        });
 
         var send = WebSocketV2_MessageTemplate;
         send.code = "urgent_notification_recieved";
@@ -1103,7 +1075,8 @@ router.post('/new', authenticateToken, async (req, res) => {
                     viewSettings: false,
                     viewPermissions: false,
                     managePermissions: false,
-                    useCreationTool: false
+                    useCreationTool: false,
+                    manageMonetization: false
                 },
                 owner: {
                     viewAndJoin: true,
@@ -1112,7 +1085,8 @@ router.post('/new', authenticateToken, async (req, res) => {
                     viewSettings: true,
                     viewPermissions: true,
                     managePermissions: true,
-                    useCreationTool: true
+                    useCreationTool: true,
+                    manageMonetization: true
                 }
             },
             userPermissions: userPermissions,
@@ -1627,6 +1601,8 @@ router.get("/all-permissions", async (req, res) => {
             "Can players edit the room's content flags?",
         "setRoomPhoto": 
             "Can players set the room's photo?",
+        "manageMonetization":
+            "Can players set the room's access price and whether it accepts tips?",
     });
 });
 
@@ -1879,6 +1855,232 @@ router.get("/room/:id/subroom/:name/download-bundle", authenticateToken, require
     });
 });
 
+//#region monetization
+
+// The percentage of every room purchase and tip kept by the platform.
+const PLATFORM_FEE_PERCENT = config.creator_platform_fee_percent ?? 10;
+
+router.post("/room/:id/monetization", authenticateToken, requiresRoomPermission("manageMonetization"), async (req, res) => {
+    try {
+        var {access_price, currency, tips_enabled} = req.body;
+        const {id} = req.params;
+
+        if(typeof access_price == 'undefined') access_price = null;
+        if(access_price !== null && (!Number.isInteger(access_price) || access_price < 1)) return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `access_price` must be a positive integer, or null to make the room free."
+        });
+        if(typeof tips_enabled != 'boolean') return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `tips_enabled` must be a boolean."
+        });
+
+        const econ = require('./econ');
+        if(typeof currency == 'undefined') currency = econ.DEFAULT_CURRENCY;
+        if(await econ.GetCurrency(currency) === null) return res.status(404).json({
+            code: "currency_not_found",
+            message: "That currency does not exist."
+        });
+
+        const monetization = {
+            access_price: access_price,
+            currency: currency,
+            tips_enabled: tips_enabled
+        };
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        await db.collection('rooms').updateOne({_id: {$eq: id, $exists: true}}, {$set: {monetization: monetization}});
+
+        await roomAuditLog(id, req.user.id, {
+            type: AuditEventType.MonetizationUpdate,
+            previous_value: req.room.monetization ?? null,
+            new_value: monetization
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "The operation was successful."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.get("/room/:id/access", authenticateToken, canViewRoom, async (req, res) => {
+    return res.status(200).json({
+        has_access: await HasRoomAccess(req.room, req.user.id, req.user.developer),
+        access_price: req.room.monetization?.access_price ?? null,
+        currency: req.room.monetization?.currency ?? null
+    });
+});
+
+router.post("/room/:id/access/purchase", authenticateToken, canViewRoom, async (req, res) => {
+    try {
+        const room = req.room;
+        const price = room.monetization?.access_price ?? null;
+        if(price === null) return res.status(400).json({
+            code: "room_is_free",
+            message: "This room does not need to be purchased."
+        });
+        if(await HasRoomAccess(room, req.user.id, false)) return res.status(400).json({
+            code: "already_owned",
+            message: "You already have access to this room."
+        });
+
+        const transaction = await PayCreator("room_access", req.user.id, room, price, async (session, db) => {
+            const result = await db.collection('room_access').updateOne(
+                {room_id: {$eq: room._id}, user_id: {$eq: req.user.id}},
+                {$setOnInsert: {room_id: room._id, user_id: req.user.id, price: price, currency: room.monetization.currency, purchased_at: Date.now()}},
+                {upsert: true, session}
+            );
+            // Stops the room being bought twice by concurrent requests.
+            return result.upsertedCount > 0;
+        });
+        if(transaction === null) return res.status(400).json({
+            code: "purchase_failed",
+            message: "You cannot afford this room, or you already own it."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "Room purchased. Enjoy!"
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.post("/room/:id/tip", authenticateToken, canViewRoom, async (req, res) => {
+    try {
+        const {amount} = req.body;
+        const room = req.room;
+
+        if(!room.monetization?.tips_enabled) return res.status(400).json({
+            code: "tips_disabled",
+            message: "This room does not accept tips."
+        });
+        if(!Number.isInteger(amount) || amount < 1) return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `amount` must be a positive integer."
+        });
+        if(room.creator_id === req.user.id) return res.status(400).json({
+            code: "invalid_input",
+            message: "You cannot tip your own room."
+        });
+
+        const transaction = await PayCreator("room_tip", req.user.id, room, amount);
+        if(transaction === null) return res.status(400).json({
+            code: "tip_failed",
+            message: "You cannot afford that tip, or the creator cannot hold any more currency."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "Tip sent. Thank you for supporting this creator!"
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+router.get("/earnings", authenticateToken, async (req, res) => {
+    try {
+        var {since} = req.query;
+        since = parseInt(since);
+        if(isNaN(since) || since < 0) since = 0;
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const entries = await db.collection('econ_ledger').find({
+            type: {$in: ["room_access", "room_tip"]},
+            "details.creator_id": {$eq: req.user.id},
+            created_at: {$gte: new Date(since)}
+        }).toArray();
+
+        const rooms = {};
+        for (const entry of entries) {
+            const {room_id, currency_id, gross, fee} = entry.details;
+            const key = `${room_id}:${currency_id}`;
+
+            rooms[key] = rooms[key] ?? {room_id: room_id, currency: currency_id, purchases: 0, tips: 0, gross: 0, fees: 0, net: 0};
+            if(entry.type === "room_access") rooms[key].purchases++;
+            else rooms[key].tips++;
+            rooms[key].gross += gross;
+            rooms[key].fees += fee;
+            rooms[key].net += gross - fee;
+        }
+
+        return res.status(200).json({
+            since: since,
+            platform_fee_percent: PLATFORM_FEE_PERCENT,
+            rooms: Object.values(rooms)
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred and we could not process your request."
+        });
+        throw ex;
+    }
+});
+
+/**
+ * Moves currency from a player to a room's creator, less the platform fee, through the ledger.
+ * @param {"room_access"|"room_tip"} type The kind of payment.
+ * @param {String} user_id The ID of the paying player.
+ * @param {Object} room The room being paid for.
+ * @param {Number} amount How much the player pays, in the room's currency.
+ * @param {((session: import('mongodb').ClientSession, db: import('mongodb').Db) => Promise<Boolean>)|null} within Extra work to do inside the transaction.
+ * @returns {Promise<Object|null>} The ledger entry, or null if the payment was rejected.
+ */
+async function PayCreator(type, user_id, room, amount, within = null) {
+    const { ExecuteTransaction } = require('./econ');
+    const currency_id = room.monetization.currency;
+    const fee = Math.ceil(amount * PLATFORM_FEE_PERCENT / 100);
+
+    const changes = [{user_id: user_id, currency: 0 - amount, currency_id: currency_id}];
+    if(amount - fee > 0) changes.push({user_id: room.creator_id, currency: amount - fee, currency_id: currency_id});
+
+    return await ExecuteTransaction(type, user_id, changes, {
+        room_id: room._id,
+        creator_id: room.creator_id,
+        currency_id: currency_id,
+        gross: amount,
+        fee: fee
+    }, within);
+}
+
+/**
+ * Checks whether a player may join a room that may require a purchase.
+ * Free rooms, the creator, developers and players with a role in the room never need to buy access.
+ * @param {Object} room The room.
+ * @param {String} user_id The ID of the player.
+ * @param {Boolean} developer Whether or not the player is a developer.
+ * @returns {Promise<Boolean>} Whether or not the player has access.
+ */
+async function HasRoomAccess(room, user_id, developer) {
+    if(typeof room.monetization?.access_price != 'number') return true;
+    if(developer || room.creator_id === user_id) return true;
+    if(Object.keys(room.userPermissions ?? {}).includes(user_id)) return true;
+
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const access = await db.collection('room_access').findOne({room_id: {$eq: room._id}, user_id: {$eq: user_id}});
+    return access !== null;
+}
+
+//#endregion
+
 async function canViewRoom(req, res, next) {
     // Input validation
     const client = require('../index').mongoClient;
@@ -2006,5 +2208,6 @@ async function roomAuditLog(room_id, user_id, event) {
 
 module.exports = {
     Router: router,
-    roomAuditLog: roomAuditLog
+    roomAuditLog: roomAuditLog,
+    HasRoomAccess: HasRoomAccess
 };
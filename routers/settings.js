@@ -1,4 +1,4 @@
-const { PullPlayerData, PushPlayerData } = require('../helpers');
+const { PullPlayerData, SetPlayerFields } = require('../helpers');
 const { authenticateToken } = require('../middleware');
 
 const router = require('express').Router();
@@ -28,13 +28,13 @@ router.post("/:setting/set", authenticateToken, async (req, res) => {
             message: "Unable to set value of setting, value must be a string."
         });
 
-        let data = await PullPlayerData(req.user.id);
-        
-        if (typeof data.settings == 'undefined') data.settings = {};
-
-        data.settings[setting] = value;
+        // Setting names become part of a field path.
+        if (setting.includes('.') || setting.startsWith('$')) return res.status(400).json({
+            code: "invalid_setting",
+            message: "Setting names cannot contain periods or start with a dollar sign."
+        });
 
-        await PushPlayerData(req.user.id, data);
+        await SetPlayerFields(req.user.id, { [`settings.${setting}`]: value });
 
         return res.status(200).json({
             code: "success",
@@ -60,11 +60,7 @@ router.post("/flush", authenticateToken, async (req, res) => {
             message: "Failed to flush settings - no valid body"
         });
 
-        let data = await PullPlayerData(req.user.id);
-
-        data.settings = req.body;
-
-        await PushPlayerData(req.user.id, data);
+        await SetPlayerFields(req.user.id, { settings: req.body });
 
         return res.status(200).json({
             code: "success",
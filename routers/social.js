@@ -7,6 +7,8 @@ const notificationTemplates = {
     messageRecieved: "messageRecieved"
 };
 const {WebSocketV2_MessageTemplate} = require('../index');
+const { GetInstances, MatchmakingModes } = require('./matchmaking');
+const { DismissNotifications } = require('./notifications');
 
 router.get("/imgfeed", middleware.authenticateToken_optional, async (req, res) => {
     try {
@@ -182,6 +184,7 @@ router.post("/friend-request", middleware.authenticateToken, async (req, res) =>
     var recievingData = await helpers.PullPlayerData(target);
 
     if(await helpers.ArePlayersAnyFriendType(req.user.id, target)) return res.status(400).send("You are already friends with this player.");
+    if(await helpers.IsEitherPlayerBlocked(req.user.id, target)) return res.status(403).send("You cannot send a friend request to this player.");
     if(sendingData.private.friendRequestsSent.includes(target)) return res.status(400).send("You have already sent a friend request to this player, duplicate requests are not permitted.");
 
     await helpers.NotifyPlayer(target, notificationTemplates.friendRequest, {
@@ -193,45 +196,49 @@ router.post("/friend-request", middleware.authenticateToken, async (req, res) =>
     });
 
     res.status(200).send("Successfully sent friend request to player!");
-    sendingData.private.friendRequestsSent.push(target);
-    await helpers.PushPlayerData(req.user.id, sendingData);
+    await helpers.AddToPlayerSet(req.user.id, "private.friendRequestsSent", target);
     
     var send = WebSocketV2_MessageTemplate;
     send.code = "standard_notification_recieved";
     send.data = {};
     require('./ws/WebSocketServerV2').ws_connected_clients[target]?.socket?.send(JSON.stringify(send, null, 5));
+    require('./ws/WebSocketServerV2').SendSocialEvent(target, "friend_request_received", {
+        user_id: req.user.id,
+        username: sendingData.public.username,
+        nickname: sendingData.public.nickname
+    });
 });
 
 router.post("/accept-request", middleware.authenticateToken, async (req, res) => {
     var {target} = req.body;
     if(typeof target != 'string') return res.status(400).send("No target specified.");
 
-    var recievingData = await helpers.PullPlayerData(req.user.id);
     var sendingData = await helpers.PullPlayerData(target);
 
-    var filteredNotifications = recievingData.notifications.filter(item => item.template === notificationTemplates.friendRequest && item.parameters.sendingPlayer === target);
-
-    for (let index = 0; index < filteredNotifications.length; index++) {
-        let itemIndex = recievingData.notifications.findIndex(item => item.template === notificationTemplates.friendRequest && item.parameters.sendingPlayer === target);
-        recievingData.notifications.splice(itemIndex);
-    }
-     
-    if(filteredNotifications.length > 0) await helpers.PushPlayerData(req.user.id, recievingData);
+    await DismissNotifications(req.user.id, {template: notificationTemplates.friendRequest, "parameters.sendingPlayer": target});
 
     if(await helpers.ArePlayersAnyFriendType(req.user.id, target)) return res.status(400).send("You are already friends with this player.");
 
     if(!sendingData.private.friendRequestsSent.includes(req.user.id)) return res.status(400).send("This player has not sent you a friend request. API magic won't help you here buddy.");
+    if(await helpers.IsEitherPlayerBlocked(req.user.id, target)) return res.status(403).send("You cannot accept a friend request from this player.");
 
     await helpers.AddAcquaintance(req.user.id, target, true);
 
     res.status(200).send("Successfully added acquaintance.");
 
-    // eslint-disable-next-line no-redeclare
-    var sendingData = await helpers.PullPlayerData(target);
-     
-    var index = sendingData.private.friendRequestsSent.findIndex(item => item === req.user.id);
-    if(index >= 0) sendingData.private.friendRequestsSent.splice(index);
-    await helpers.PushPlayerData(target, sendingData);
+    await helpers.RemoveFromPlayerArray(target, "private.friendRequestsSent", req.user.id);
+
+    const acceptingData = await helpers.PullPlayerData(req.user.id);
+    const ws = require('./ws/WebSocketServerV2');
+    ws.SendSocialEvent(target, "friend_request_accepted", {
+        user_id: req.user.id,
+        username: acceptingData.public.username,
+        nickname: acceptingData.public.nickname
+    });
+
+    // Each new friend is told whether the other is online, as far as their presence settings allow.
+    ws.BroadcastPresence(req.user.id, "friend_online", [target]).catch(console.error);
+    ws.BroadcastPresence(target, "friend_online", [req.user.id]).catch(console.error);
 });
 
 router.get("/sent-requests", middleware.authenticateToken, async (req, res) => {
@@ -292,6 +299,8 @@ router.post("/remove-friend", middleware.authenticateToken, async (req, res) =>
     await helpers.RemoveFriend(sender, target, true);
     await helpers.RemoveFavoriteFriend(sender, target, true);
     res.sendStatus(200);
+
+    require('./ws/WebSocketServerV2').SendSocialEvent(target, "friend_removed", { user_id: sender });
 });
 
 router.post("/decline-request", middleware.authenticateToken, async (req, res) => {
@@ -304,24 +313,10 @@ router.post("/decline-request", middleware.authenticateToken, async (req, res) =
     var sendingData = await helpers.PullPlayerData(target);
     if(sendingData === null) return res.status(404).send("That user does not exist!");
 
-    var recievingData = await helpers.PullPlayerData(sender);
-     
     if(!sendingData.private.friendRequestsSent.includes(sender)) return res.status(400).send("You do not have a pending friend request from this player!");
 
-    while(sendingData.private.friendRequestsSent.includes(sender)) {
-        const index = sendingData.private.friendRequestsSent.findIndex(item => item === sender);
-        sendingData.private.friendRequestsSent.splice(index);
-    }
-    await helpers.PushPlayerData(target, sendingData);
-
-    var temp = recievingData.notifications.filter(item => item.template === notificationTemplates.friendRequest && item.parameters.sendingPlayer === target);
-    for (let index = 0; index < temp.length; index++) {
-        let itemIndex = recievingData.notifications.findIndex(item => item.template === notificationTemplates.friendRequest && item.parameters.sendingPlayer === target);
-        if(itemIndex >= 0) recievingData.notifications.splice(itemIndex);
-        else break;
-    }
-
-    await helpers.PushPlayerData(sender, recievingData);
+    await helpers.RemoveFromPlayerArray(target, "private.friendRequestsSent", sender);
+    await DismissNotifications(sender, {template: notificationTemplates.friendRequest, "parameters.sendingPlayer": target});
     res.status(200).send("Declined friend request.");
 });
 
@@ -331,7 +326,7 @@ router.get("/acquaintances", middleware.authenticateToken, async (req, res) => {
     for (let index = 0; index < data.private.acquaintances.length; index++) {
         const element = data.private.acquaintances[index];
         let player = await helpers.PullPlayerData(element);
-        dictionary[element] = player.public;
+        dictionary[element] = {...player.public, presence: helpers.GetVisiblePresence(player, req.user.id)};
     }
     return res.status(200).json(dictionary);
 });
@@ -342,7 +337,7 @@ router.get("/friends", middleware.authenticateToken, async (req, res) => {
     for (let index = 0; index < data.private.friends.length; index++) {
         const element = data.private.friends[index];
         let player = await helpers.PullPlayerData(element);
-        dictionary[element] = player.public;
+        dictionary[element] = {...player.public, presence: helpers.GetVisiblePresence(player, req.user.id)};
     }
     return res.status(200).json(dictionary);
 });
@@ -353,7 +348,7 @@ router.get("/favorite-friends", middleware.authenticateToken, async (req, res) =
     for (let index = 0; index < data.private.favoriteFriends.length; index++) {
         const element = data.private.favoriteFriends[index];
         let player = await helpers.PullPlayerData(element);
-        dictionary[element] = player.public;
+        dictionary[element] = {...player.public, presence: helpers.GetVisiblePresence(player, req.user.id)};
     }
     return res.status(200).json(dictionary);
 });
@@ -370,9 +365,161 @@ router.get("/all-friend-types", middleware.authenticateToken, async (req, res) =
         let player = await helpers.PullPlayerData(element);
 
         if (player == null) continue;
-        dictionary[element] = player.public;
+        dictionary[element] = {...player.public, presence: helpers.GetVisiblePresence(player, req.user.id)};
     }
     return res.status(200).json(dictionary);
 });
 
+// Everything the friends panel needs in one call, so clients don't have to fetch each friend's profile.
+router.get("/friends/overview", middleware.authenticateToken, async (req, res) => {
+    try {
+        const data = await helpers.PullPlayerData(req.user.id);
+
+        const tiers = {};
+        for (const id of data.private.acquaintances) tiers[id] = "acquaintance";
+        for (const id of data.private.friends) tiers[id] = "friend";
+        for (const id of data.private.favoriteFriends) tiers[id] = "favorite_friend";
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        const players = await db.collection('accounts').find(
+            {_id: {$in: Object.keys(tiers)}},
+            {projection: {public: 1, private: 1}}
+        ).toArray();
+
+        const clients = require('./ws/WebSocketServerV2').ws_connected_clients;
+        const ownJoinCode = clients[req.user.id]?.joinCode ?? null;
+
+        const friends = [];
+        const roomIds = new Set();
+        for (const player of players) {
+            const presence = helpers.GetVisiblePresence(player, req.user.id);
+
+            let can_join = false;
+            if(presence.online && ownJoinCode !== clients[player._id].joinCode) {
+                const instance = (await GetInstances(presence.roomId)).find(x => x.JoinCode == clients[player._id].joinCode);
+                can_join = typeof instance == 'object' &&
+                    (instance.MatchmakingMode == MatchmakingModes.Public || instance.MatchmakingMode == MatchmakingModes.Unlisted) &&
+                    instance.Players.length < instance.MaxPlayers;
+            }
+
+            if(presence.roomId !== null) roomIds.add(presence.roomId);
+            friends.push({
+                id: player._id,
+                username: player.public.username,
+                nickname: player.public.nickname,
+                profile_picture_id: player.public.profile_picture_id,
+                tier: tiers[player._id],
+                presence: presence,
+                room: null,
+                can_join: can_join
+            });
+        }
+
+        const rooms = await db.collection('rooms').find(
+            {_id: {$in: [...roomIds]}},
+            {projection: {_id: 1, name: 1, creator_id: 1, userPermissions: 1, monetization: 1}}
+        ).toArray();
+        for (const friend of friends) {
+            if(friend.presence.roomId === null) continue;
+            const room = rooms.find(x => x._id === friend.presence.roomId);
+            if(typeof room != 'object') {
+                friend.can_join = false;
+                continue;
+            }
+
+            // Paid rooms are only joinable once the player has bought access.
+            if(friend.can_join) friend.can_join = await require('./rooms').HasRoomAccess(room, req.user.id, req.user.developer);
+            friend.room = {_id: room._id, name: room.name};
+        }
+
+        return res.status(200).json(friends);
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal server error occurred."
+        });
+        throw ex;
+    }
+});
+
+router.post("/block", middleware.authenticateToken, async (req, res) => {
+    var {target} = req.body;
+    if(typeof target != 'string') return res.status(400).send("You did not specify a target!");
+    const sender = req.user.id;
+    if(target === sender) return res.status(400).send("You cannot block yourself!");
+
+    if(await helpers.PullPlayerData(target) === null) return res.status(404).send("That user does not exist!");
+
+    await helpers.AddToPlayerSet(sender, "private.blocked", target);
+    const wereFriends = await helpers.ArePlayersAnyFriendType(sender, target);
+
+    // Blocking ends every relationship and pending request between the two players.
+    await helpers.RemoveAcquaintance(sender, target, true);
+    await helpers.RemoveFriend(sender, target, true);
+    await helpers.RemoveFavoriteFriend(sender, target, true);
+    await helpers.RemoveFromPlayerArray(sender, "private.friendRequestsSent", target);
+    await helpers.RemoveFromPlayerArray(target, "private.friendRequestsSent", sender);
+    await DismissNotifications(sender, {"parameters.sendingPlayer": target});
+    await DismissNotifications(target, {"parameters.sendingPlayer": sender});
+
+    res.status(200).send("Blocked player.");
+
+    // The blocked player can no longer see the blocker, so their client drops them from its friends and online lists.
+    if(wereFriends) {
+        const ws = require('./ws/WebSocketServerV2');
+        ws.SendSocialEvent(target, "friend_offline", { user_id: sender });
+        ws.SendSocialEvent(target, "friend_removed", { user_id: sender });
+    }
+});
+
+router.post("/unblock", middleware.authenticateToken, async (req, res) => {
+    var {target} = req.body;
+    if(typeof target != 'string') return res.status(400).send("You did not specify a target!");
+
+    if(!await helpers.HasPlayerBlocked(req.user.id, target)) return res.status(400).send("You have not blocked this player!");
+
+    await helpers.RemoveFromPlayerArray(req.user.id, "private.blocked", target);
+    res.status(200).send("Unblocked player.");
+});
+
+router.get("/blocked", middleware.authenticateToken, async (req, res) => {
+    const data = await helpers.PullPlayerData(req.user.id);
+    const blocked = data.private.blocked ?? [];
+
+    var dictionary = {};
+    for (let index = 0; index < blocked.length; index++) {
+        const element = blocked[index];
+        let player = await helpers.PullPlayerData(element);
+
+        if (player == null) continue;
+        dictionary[element] = {username: player.public.username, nickname: player.public.nickname};
+    }
+    return res.status(200).json(dictionary);
+});
+
+// Muting only hides a player's messages, they can still interact with you otherwise.
+router.post("/mute", middleware.authenticateToken, async (req, res) => {
+    var {target} = req.body;
+    if(typeof target != 'string') return res.status(400).send("You did not specify a target!");
+    if(target === req.user.id) return res.status(400).send("You cannot mute yourself!");
+
+    if(await helpers.PullPlayerData(target) === null) return res.status(404).send("That user does not exist!");
+
+    await helpers.AddToPlayerSet(req.user.id, "private.muted", target);
+    res.status(200).send("Muted player.");
+});
+
+router.post("/unmute", middleware.authenticateToken, async (req, res) => {
+    var {target} = req.body;
+    if(typeof target != 'string') return res.status(400).send("You did not specify a target!");
+
+    await helpers.RemoveFromPlayerArray(req.user.id, "private.muted", target);
+    res.status(200).send("Unmuted player.");
+});
+
+router.get("/muted", middleware.authenticateToken, async (req, res) => {
+    const data = await helpers.PullPlayerData(req.user.id);
+    return res.status(200).json(data.private.muted ?? []);
+});
+
 module.exports = router;
\ No newline at end of file
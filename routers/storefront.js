@@ -0,0 +1,348 @@
+const router = require('express').Router();
+const helpers = require('../helpers');
+const middleware = require('../middleware');
+const { v1 } = require('uuid');
+const { ExecuteTransaction, PullItem, ResolvePrice, GetCurrency } = require('./econ');
+
+/**
+ * @typedef Campaign
+ * @property {String} _id The ID of the campaign.
+ * @property {"sale"|"bundle"|"featured"} type What the campaign does.
+ * @property {String} name A name for the campaign, shown to players.
+ * @property {Number} starts_at When the campaign starts, as a unix timestamp in milliseconds.
+ * @property {Number} ends_at When the campaign ends, as a unix timestamp in milliseconds.
+ * @property {String[]} [items] Sales and featured slots: the item IDs the campaign applies to.
+ * @property {Number} [discount_percent] Sales: the percentage taken off the regular price.
+ * @property {Number} [fixed_price] Sales: a replacement price, in the same currency as the regular price.
+ * @property {Object<String, Number>} [contents] Bundles: how many of each item ID the bundle grants.
+ * @property {Number|Object<String, Number>} [price] Bundles: the price, in the same format as item prices.
+ * @property {String} [currency] Bundles: the currency of a numeric `price`.
+ * @property {Number|null} [purchase_limit] Sales and bundles: how many times each player may buy through this campaign.
+ * @property {Number} [slot_count] Featured slots: how many items are featured at once.
+ * @property {Number|null} [rotation_interval] Featured slots: how often the featured items rotate, in milliseconds.
+ */
+
+const CAMPAIGN_TYPES = ["sale", "bundle", "featured"];
+
+//#region routes
+
+router.get("/", async (req, res) => {
+    try {
+        const now = Date.now();
+        const campaigns = await GetActiveCampaigns(null, now);
+
+        return res.status(200).json({
+            sales: campaigns.filter(x => x.type === "sale"),
+            bundles: campaigns.filter(x => x.type === "bundle"),
+            featured: GetFeaturedItems(campaigns, now)
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.post("/bundle/buy", middleware.authenticateToken, async (req, res) => {
+    try {
+        var {bundle_id, currency} = req.body;
+        if(typeof bundle_id != 'string') return res.status(400).json({
+            code: "invalid_input",
+            message: "Parameter `bundle_id` not specified or not a string."
+        });
+
+        const bundle = (await GetActiveCampaigns("bundle")).find(x => x._id === bundle_id);
+        if(typeof bundle == 'undefined') return res.status(404).json({
+            code: "bundle_not_found",
+            message: "That bundle does not exist or is not currently available."
+        });
+
+        const price = ResolvePrice({buy_price: bundle.price, currency: bundle.currency}, "buy_price", currency);
+        if(price === null) return res.status(400).json({
+            code: "invalid_currency",
+            message: "That bundle cannot be bought with that currency."
+        });
+
+        if(await GetRemainingPurchases(bundle, req.user.id) === 0) return res.status(400).json({
+            code: "purchase_limit_reached",
+            message: "You have already bought this bundle as many times as you can."
+        });
+
+        const count = CountPurchase(bundle, req.user.id);
+        const transaction = await ExecuteTransaction("purchase", req.user.id, [
+            {user_id: req.user.id, currency: 0 - price.amount, currency_id: price.currency_id, items: bundle.contents}
+        ], {bundle_id: bundle._id, campaign_id: bundle._id}, count);
+        // Another purchase may have used up the limit after it was checked above.
+        if(transaction === null && count?.limit_reached) return res.status(400).json({
+            code: "purchase_limit_reached",
+            message: "You have already bought this bundle as many times as you can."
+        });
+        if(transaction === null) return res.status(400).json({
+            code: "insufficient_funds",
+            message: "You cannot afford that bundle."
+        });
+
+        return res.status(200).json({
+            code: "success",
+            message: "Successfully purchased bundle! Enjoy!"
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.route("/campaigns")
+    .get(middleware.authenticateDeveloperToken, async (req, res) => {
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        return res.status(200).json(await db.collection('store_campaigns').find({}).sort({starts_at: -1}).toArray());
+    })
+    .put(middleware.authenticateDeveloperToken, async (req, res) => {
+        try {
+            const campaign = await ValidateCampaign(req.body);
+            if(typeof campaign == 'string') return res.status(400).json({
+                code: "invalid_input",
+                message: campaign
+            });
+
+            campaign._id = v1();
+            campaign.created_by = req.user.id;
+            campaign.created_at = Date.now();
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            await db.collection('store_campaigns').insertOne(campaign);
+
+            helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} scheduled ${campaign.type} campaign "${campaign.name}" (${campaign._id}) from ${new Date(campaign.starts_at).toUTCString()} to ${new Date(campaign.ends_at).toUTCString()}.`, false);
+            return res.status(200).json({
+                code: "success",
+                message: "The campaign has been scheduled.",
+                campaign: campaign
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+router.delete("/campaigns/:id", middleware.authenticateDeveloperToken, async (req, res) => {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const result = await db.collection('store_campaigns').deleteOne({_id: {$eq: req.params.id, $exists: true}});
+    if(result.deletedCount < 1) return res.status(404).json({
+        code: "campaign_not_found",
+        message: "No campaign exists with that ID."
+    });
+
+    helpers.auditLog(`!DEVELOPER ACTION! User ${req.user.username} with ID ${req.user.id} cancelled store campaign ${req.params.id}.`, false);
+    return res.status(200).json({
+        code: "success",
+        message: "The campaign has been cancelled."
+    });
+});
+
+//#endregion
+
+//#region functions
+
+/**
+ * Fetches the campaigns running at a point in time.
+ * @param {"sale"|"bundle"|"featured"|null} type Only fetch campaigns of this type, or null for all of them.
+ * @param {Number} now The point in time, as a unix timestamp in milliseconds.
+ * @returns {Promise<Campaign[]>} The running campaigns.
+ */
+async function GetActiveCampaigns(type = null, now = Date.now()) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+
+    const filter = {starts_at: {$lte: now}, ends_at: {$gt: now}};
+    if(type !== null) filter.type = {$eq: type};
+
+    return await db.collection('store_campaigns').find(filter).toArray();
+}
+
+/**
+ * Works out what a player pays for an item right now, applying the cheapest running sale.
+ * Sales the player has reached the purchase limit of are skipped.
+ * @param {Object} item The item being bought.
+ * @param {String|undefined} currency_id The currency requested by the player, if any.
+ * @param {String|null} user_id The ID of the player buying, or null to ignore purchase limits.
+ * @returns {Promise<{currency_id: String, amount: Number, campaign: Campaign|null}|null>} The price and the sale that set it, or null if the item is not priced in that currency.
+ */
+async function GetActivePrice(item, currency_id, user_id = null) {
+    const regular = ResolvePrice(item, "buy_price", currency_id);
+    if(regular === null) return null;
+
+    let best = {...regular, campaign: null};
+
+    const sales = (await GetActiveCampaigns("sale")).filter(x => x.items.includes(item._id));
+    for (const sale of sales) {
+        const amount = typeof sale.fixed_price == 'number'
+            ? sale.fixed_price
+            : Math.round(regular.amount * (100 - sale.discount_percent) / 100);
+
+        if(amount >= best.amount) continue;
+        if(user_id !== null && await GetRemainingPurchases(sale, user_id) === 0) continue;
+
+        best = {currency_id: regular.currency_id, amount: amount, campaign: sale};
+    }
+
+    return best;
+}
+
+/**
+ * Fetches how many more times a player may buy through a campaign.
+ * @param {Campaign} campaign The sale or bundle.
+ * @param {String} user_id The ID of the player.
+ * @returns {Promise<Number|null>} The remaining purchases, or null if the campaign has no limit.
+ */
+async function GetRemainingPurchases(campaign, user_id) {
+    if(typeof campaign.purchase_limit != 'number') return null;
+
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const record = await db.collection('store_purchases').findOne({_id: {$eq: `${campaign._id}:${user_id}`}});
+    return Math.max(0, campaign.purchase_limit - (record?.count ?? 0));
+}
+
+/**
+ * Creates the transaction step that counts a purchase against a campaign's per-player limit.
+ * The count is checked and incremented in the purchase's transaction, so concurrent purchases cannot exceed it.
+ * When the step rejects the purchase it sets its `limit_reached` property, so callers can tell this apart from the player being unable to pay.
+ * @param {Campaign|null} campaign The sale or bundle the purchase went through, if any.
+ * @param {String} user_id The ID of the player buying.
+ * @returns {(((session: import('mongodb').ClientSession, db: import('mongodb').Db) => Promise<Boolean>) & {limit_reached: Boolean})|null} The step to pass to `ExecuteTransaction`.
+ */
+function CountPurchase(campaign, user_id) {
+    if(campaign === null || typeof campaign.purchase_limit != 'number') return null;
+
+    const step = async (session, db) => {
+        const purchases = db.collection('store_purchases');
+        const _id = `${campaign._id}:${user_id}`;
+
+        await purchases.updateOne(
+            {_id: {$eq: _id}},
+            {$setOnInsert: {campaign_id: campaign._id, user_id: user_id, count: 0}},
+            {upsert: true, session}
+        );
+        const result = await purchases.updateOne(
+            {_id: {$eq: _id}, count: {$lt: campaign.purchase_limit}},
+            {$inc: {count: 1}},
+            {session}
+        );
+        step.limit_reached = result.modifiedCount < 1;
+        return !step.limit_reached;
+    };
+    step.limit_reached = false;
+    return step;
+}
+
+/**
+ * Works out which items the running featured campaigns show right now.
+ * @param {Campaign[]} campaigns The running campaigns.
+ * @param {Number} now The point in time, as a unix timestamp in milliseconds.
+ * @returns {String[]|null} The featured item IDs, or null if no featured campaign is running.
+ */
+function GetFeaturedItems(campaigns, now = Date.now()) {
+    const featured = campaigns.filter(x => x.type === "featured");
+    if(featured.length < 1) return null;
+
+    const items = [];
+    for (const campaign of featured) {
+        const count = Math.min(campaign.slot_count, campaign.items.length);
+        const rotation = typeof campaign.rotation_interval == 'number'
+            ? Math.floor((now - campaign.starts_at) / campaign.rotation_interval)
+            : 0;
+
+        for (let i = 0; i < count; i++) {
+            const item_id = campaign.items[(rotation * count + i) % campaign.items.length];
+            if(!items.includes(item_id)) items.push(item_id);
+        }
+    }
+    return items;
+}
+
+/**
+ * Checks a campaign submitted by a developer and strips unknown fields.
+ * @param {Object} body The submitted campaign.
+ * @returns {Promise<Campaign|String>} The campaign to store, or a message describing what is wrong with it.
+ */
+async function ValidateCampaign(body) {
+    const {type, name, starts_at, ends_at, purchase_limit} = body;
+
+    if(!CAMPAIGN_TYPES.includes(type)) return `Parameter \`type\` must be one of ${CAMPAIGN_TYPES.join(", ")}.`;
+    if(typeof name != 'string' || name.length < 1) return "Parameter `name` not specified or not a string.";
+    if(!Number.isInteger(starts_at) || !Number.isInteger(ends_at) || ends_at <= starts_at)
+        return "Parameters `starts_at` and `ends_at` must be unix timestamps in milliseconds, with `ends_at` after `starts_at`.";
+    if(typeof purchase_limit != 'undefined' && purchase_limit !== null && (!Number.isInteger(purchase_limit) || purchase_limit < 1))
+        return "Parameter `purchase_limit` must be a positive integer or null.";
+
+    const campaign = {type: type, name: name, starts_at: starts_at, ends_at: ends_at};
+
+    if(type === "sale" || type === "featured") {
+        if(!Array.isArray(body.items) || body.items.length < 1 || body.items.some(x => typeof x != 'string'))
+            return "Parameter `items` must be a non-empty array of item IDs.";
+        for (const item_id of body.items) {
+            if(await PullItem(item_id) === null) return `Item ${item_id} does not exist.`;
+        }
+        campaign.items = body.items;
+    }
+
+    switch(type) {
+    case "sale":
+        if(typeof body.discount_percent == 'number') {
+            if(body.discount_percent <= 0 || body.discount_percent > 100) return "Parameter `discount_percent` must be more than 0 and at most 100.";
+            campaign.discount_percent = body.discount_percent;
+        } else if(Number.isInteger(body.fixed_price) && body.fixed_price >= 0) {
+            campaign.fixed_price = body.fixed_price;
+        } else return "Sales need either a `discount_percent` or a non-negative integer `fixed_price`.";
+
+        campaign.purchase_limit = purchase_limit ?? null;
+        break;
+    case "bundle":
+        if(typeof body.contents != 'object' || body.contents === null || Object.keys(body.contents).length < 1)
+            return "Parameter `contents` must map item IDs to counts.";
+        for (const [item_id, count] of Object.entries(body.contents)) {
+            if(!Number.isInteger(count) || count < 1) return `The count of item ${item_id} must be a positive integer.`;
+            if(await PullItem(item_id) === null) return `Item ${item_id} does not exist.`;
+        }
+        // Negative or fractional prices would pay the buyer, so every amount must be a non-negative integer.
+        if(ResolvePrice({buy_price: body.price, currency: body.currency}, "buy_price", undefined) === null
+            || !(typeof body.price == 'number' ? [body.price] : Object.values(body.price)).every(x => Number.isInteger(x) && x >= 0))
+            return "Parameter `price` must be a non-negative integer or a map of currency IDs to non-negative integers.";
+        for (const currency_id of typeof body.price == 'number' ? [body.currency ?? "default"] : Object.keys(body.price)) {
+            if(await GetCurrency(currency_id) === null) return `Currency ${currency_id} does not exist.`;
+        }
+
+        campaign.contents = body.contents;
+        campaign.price = body.price;
+        if(typeof body.currency == 'string') campaign.currency = body.currency;
+        campaign.purchase_limit = purchase_limit ?? null;
+        break;
+    case "featured":
+        if(!Number.isInteger(body.slot_count) || body.slot_count < 1) return "Parameter `slot_count` must be a positive integer.";
+        if(typeof body.rotation_interval != 'undefined' && body.rotation_interval !== null && (!Number.isInteger(body.rotation_interval) || body.rotation_interval < 60000))
+            return "Parameter `rotation_interval` must be at least 60000 milliseconds, or null to never rotate.";
+
+        campaign.slot_count = body.slot_count;
+        campaign.rotation_interval = body.rotation_interval ?? null;
+        break;
+    }
+
+    return campaign;
+}
+
+//#endregion
+
+module.exports = {
+    router: router,
+    GetActiveCampaigns: GetActiveCampaigns,
+    GetActivePrice: GetActivePrice,
+    GetRemainingPurchases: GetRemainingPurchases,
+    CountPurchase: CountPurchase,
+    GetFeaturedItems: GetFeaturedItems
+};
@@ -0,0 +1,383 @@
+const router = require('express').Router();
+const helpers = require('../helpers');
+const middleware = require('../middleware');
+const config = require('../config.json');
+const { v1 } = require('uuid');
+const { ExecuteTransaction, PullItem, GetCurrency } = require('./econ');
+const { DismissNotifications } = require('./notifications');
+
+/**
+ * @typedef TradeSide
+ * @property {Object<String, Number>} currencies How much of each currency ID changes hands.
+ * @property {Object<String, Number>} items How many of each item ID change hands.
+ */
+
+/**
+ * @typedef Trade
+ * @property {String} _id The ID of the trade.
+ * @property {String} from The ID of the player who proposed the trade.
+ * @property {String} to The ID of the player the trade was offered to.
+ * @property {TradeSide} offer What the proposer gives. This is held in escrow while the trade is pending.
+ * @property {TradeSide} request What the proposer asks for in return.
+ * @property {"pending"|"accepted"|"declined"|"cancelled"|"expired"} status The state of the trade.
+ * @property {Number} created_at When the trade was proposed.
+ * @property {Number} expires_at When the trade expires if nobody responds.
+ * @property {Number|null} resolved_at When the trade left the pending state.
+ */
+
+// 24 hours
+const TRADE_LIFETIME = config.trade_lifetime ?? 24 * 60 * 60 * 1000;
+const MAX_PENDING_TRADES = config.max_pending_trades ?? 10;
+
+//#region routes
+
+router.route("/")
+    .get(middleware.authenticateToken, async (req, res) => {
+        var {status} = req.query;
+
+        const filter = {$or: [{from: {$eq: req.user.id}}, {to: {$eq: req.user.id}}]};
+        if(typeof status == 'string') filter.status = {$eq: status};
+
+        const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+        return res.status(200).json(await db.collection('trades').find(filter).sort({created_at: -1}).limit(100).toArray());
+    })
+    .put(middleware.authenticateToken, async (req, res) => {
+        try {
+            var {target, offer, request} = req.body;
+
+            if(typeof target != 'string') return res.status(400).json({
+                code: "invalid_input",
+                message: "Parameter `target` not specified or not a string."
+            });
+            if(target === req.user.id) return res.status(400).json({
+                code: "invalid_input",
+                message: "You cannot trade with yourself."
+            });
+            if(await helpers.PullPlayerData(target) === null) return res.status(404).json({
+                code: "player_not_found",
+                message: "That player does not exist."
+            });
+            if(await helpers.IsEitherPlayerBlocked(req.user.id, target)) return res.status(403).json({
+                code: "player_blocked",
+                message: "You cannot trade with this player."
+            });
+
+            offer = await ValidateTradeSide(offer);
+            if(typeof offer == 'string') return res.status(400).json({code: "invalid_offer", message: offer});
+            request = await ValidateTradeSide(request);
+            if(typeof request == 'string') return res.status(400).json({code: "invalid_request", message: request});
+
+            if(IsSideEmpty(offer) && IsSideEmpty(request)) return res.status(400).json({
+                code: "invalid_input",
+                message: "A trade must include at least one item or currency."
+            });
+
+            const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+            const pending = await db.collection('trades').countDocuments({from: {$eq: req.user.id}, status: "pending"});
+            if(pending >= MAX_PENDING_TRADES) return res.status(400).json({
+                code: "too_many_trades",
+                message: `You can only have ${MAX_PENDING_TRADES} pending trades at once. Cancel one or wait for a response.`
+            });
+
+            const now = Date.now();
+            const trade = {
+                _id: v1(),
+                from: req.user.id,
+                to: target,
+                offer: offer,
+                request: request,
+                status: "pending",
+                created_at: now,
+                expires_at: now + TRADE_LIFETIME,
+                resolved_at: null
+            };
+
+            // The offered assets move into escrow in the same transaction that creates the trade.
+            const transaction = await ExecuteTransaction("trade_escrow", req.user.id, SideChanges(req.user.id, offer, -1), {trade_id: trade._id}, async (session, db) => {
+                await db.collection('trades').insertOne(trade, {session});
+                return true;
+            });
+            if(transaction === null) return res.status(400).json({
+                code: "insufficient_assets",
+                message: "You do not have everything you offered."
+            });
+
+            await helpers.NotifyPlayer(target, "tradeOffer", {
+                sendingPlayer: req.user.id,
+                trade_id: trade._id,
+                headerText: "Trade Offer",
+                bodyText: `@${req.user.username} has offered you a trade!`,
+                continueText: "View",
+                cancelText: "Decline"
+            });
+            SendTradeEvent(target, "standard_notification_recieved", {});
+            SendTradeEvent(target, "trade_updated", {trade_id: trade._id, status: trade.status});
+
+            return res.status(200).json({
+                code: "success",
+                message: "Trade offer sent.",
+                trade: trade
+            });
+        } catch (ex) {
+            res.status(500).json({
+                code: "internal_error",
+                message: "An internal error occurred. Please let us know if the issue persists."
+            });
+            throw ex;
+        }
+    });
+
+router.get("/:id", middleware.authenticateToken, async (req, res) => {
+    const trade = await PullTrade(req.params.id);
+    if(trade === null || (trade.from !== req.user.id && trade.to !== req.user.id)) return res.status(404).json({
+        code: "trade_not_found",
+        message: "No trade exists with that ID."
+    });
+
+    return res.status(200).json(trade);
+});
+
+router.post("/:id/accept", middleware.authenticateToken, async (req, res) => {
+    try {
+        const trade = await PullTrade(req.params.id);
+        if(trade === null || trade.to !== req.user.id) return res.status(404).json({
+            code: "trade_not_found",
+            message: "No trade exists with that ID."
+        });
+        if(trade.status !== "pending" || trade.expires_at <= Date.now()) return res.status(400).json({
+            code: "trade_not_pending",
+            message: "This trade is no longer pending."
+        });
+        // Either player may have blocked the other since the trade was proposed.
+        if(await helpers.IsEitherPlayerBlocked(trade.from, trade.to)) return res.status(403).json({
+            code: "player_blocked",
+            message: "You cannot trade with this player."
+        });
+
+        // The proposer's side comes out of escrow, the recipient's side out of their account.
+        const changes = [
+            ...SideChanges(trade.to, trade.request, -1),
+            ...SideChanges(trade.to, trade.offer, 1),
+            ...SideChanges(trade.from, trade.request, 1)
+        ];
+        const transaction = await ExecuteTransaction("trade", req.user.id, changes, {trade_id: trade._id}, ResolveTrade(trade, "accepted"));
+        if(transaction === null) return res.status(400).json({
+            code: "trade_failed",
+            message: "The trade could not be completed. You may not have everything requested, or someone cannot hold that much currency."
+        });
+
+        helpers.auditLog(`Trade ${trade._id} between ${trade.from} and ${trade.to} was accepted.`, false);
+        await DismissNotifications(trade.to, {template: "tradeOffer", "parameters.trade_id": trade._id});
+        SendTradeEvent(trade.from, "trade_updated", {trade_id: trade._id, status: "accepted"});
+
+        return res.status(200).json({
+            code: "success",
+            message: "Trade accepted."
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+});
+
+router.post("/:id/decline", middleware.authenticateToken, async (req, res) => {
+    return await CloseTrade(req, res, "to", "declined");
+});
+
+router.post("/:id/cancel", middleware.authenticateToken, async (req, res) => {
+    return await CloseTrade(req, res, "from", "cancelled");
+});
+
+//#endregion
+
+//#region functions
+
+async function PullTrade(id) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    return await db.collection('trades').findOne({_id: {$eq: id, $exists: true}});
+}
+
+/**
+ * Handles declining or cancelling a trade, returning the escrowed offer to the proposer.
+ * @param {import('express').Request} req The request.
+ * @param {import('express').Response} res The response.
+ * @param {"from"|"to"} party Which side of the trade may perform this action.
+ * @param {"declined"|"cancelled"} status The status to close the trade with.
+ */
+async function CloseTrade(req, res, party, status) {
+    try {
+        const trade = await PullTrade(req.params.id);
+        if(trade === null || trade[party] !== req.user.id) return res.status(404).json({
+            code: "trade_not_found",
+            message: "No trade exists with that ID."
+        });
+
+        if(!await ReturnEscrow(trade, status)) return res.status(400).json({
+            code: "trade_not_pending",
+            message: "This trade is no longer pending."
+        });
+
+        await DismissNotifications(trade.to, {template: "tradeOffer", "parameters.trade_id": trade._id});
+        SendTradeEvent(party === "from" ? trade.to : trade.from, "trade_updated", {trade_id: trade._id, status: status});
+
+        return res.status(200).json({
+            code: "success",
+            message: `Trade ${status}.`
+        });
+    } catch (ex) {
+        res.status(500).json({
+            code: "internal_error",
+            message: "An internal error occurred. Please let us know if the issue persists."
+        });
+        throw ex;
+    }
+}
+
+/**
+ * Closes a pending trade and gives the escrowed offer back to the proposer.
+ * @param {Trade} trade The trade to close.
+ * @param {"declined"|"cancelled"|"expired"} status The status to close the trade with.
+ * @returns {Promise<Boolean>} Whether or not the trade was still pending and has been closed.
+ */
+async function ReturnEscrow(trade, status) {
+    const changes = SideChanges(trade.from, trade.offer, 1).map(change => ({...change, ignore_max_balance: true}));
+    const transaction = await ExecuteTransaction("trade_refund", "system", changes, {trade_id: trade._id, status: status}, ResolveTrade(trade, status));
+    return transaction !== null;
+}
+
+/**
+ * Creates the transaction step that moves a trade out of the pending state, so it can only be resolved once.
+ * @param {Trade} trade The trade to resolve.
+ * @param {String} status The status to resolve it with.
+ * @returns {(session: import('mongodb').ClientSession, db: import('mongodb').Db) => Promise<Boolean>} The step to pass to `ExecuteTransaction`.
+ */
+function ResolveTrade(trade, status) {
+    return async (session, db) => {
+        const filter = {_id: {$eq: trade._id}, status: "pending"};
+        // Expired trades can only be expired, not accepted or declined.
+        if(status !== "expired") filter.expires_at = {$gt: Date.now()};
+
+        const result = await db.collection('trades').updateOne(filter, {$set: {status: status, resolved_at: Date.now()}}, {session});
+        return result.modifiedCount > 0;
+    };
+}
+
+/**
+ * Returns the escrow of every trade that has passed its expiry time.
+ * @returns {Promise<Number>} The number of trades expired.
+ */
+async function ExpireTrades() {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const expired = await db.collection('trades').find({status: "pending", expires_at: {$lte: Date.now()}}).toArray();
+
+    let count = 0;
+    for (const trade of expired) {
+        if(!await ReturnEscrow(trade, "expired")) continue;
+        count++;
+
+        await DismissNotifications(trade.to, {template: "tradeOffer", "parameters.trade_id": trade._id});
+        SendTradeEvent(trade.from, "trade_updated", {trade_id: trade._id, status: "expired"});
+        SendTradeEvent(trade.to, "trade_updated", {trade_id: trade._id, status: "expired"});
+    }
+    return count;
+}
+
+/**
+ * Closes every pending trade a player is part of, returning each escrowed offer to its proposer.
+ * @param {String} user_id The ID of the player.
+ * @returns {Promise<Number>} The number of trades closed.
+ */
+async function CancelPlayerTrades(user_id) {
+    const db = require('../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
+    const pending = await db.collection('trades').find({status: "pending", $or: [{from: {$eq: user_id}}, {to: {$eq: user_id}}]}).toArray();
+
+    let count = 0;
+    for (const trade of pending) {
+        // Trades past their expiry time can only be expired.
+        const status = trade.expires_at <= Date.now() ? "expired" : "cancelled";
+        if(!await ReturnEscrow(trade, status)) continue;
+        count++;
+
+        await DismissNotifications(trade.to, {template: "tradeOffer", "parameters.trade_id": trade._id});
+        SendTradeEvent(trade.from === user_id ? trade.to : trade.from, "trade_updated", {trade_id: trade._id, status: status});
+    }
+    return count;
+}
+
+/**
+ * Checks one side of a proposed trade. Every item must be transferrable and every currency transferable.
+ * @param {any} side The side submitted by the player.
+ * @returns {Promise<TradeSide|String>} The side to store, or a message describing what is wrong with it.
+ */
+async function ValidateTradeSide(side) {
+    if(typeof side == 'undefined' || side === null) side = {};
+    if(typeof side != 'object' || Array.isArray(side)) return "Each side of a trade must be an object with `currencies` and `items`.";
+
+    const currencies = side.currencies ?? {};
+    const items = side.items ?? {};
+    if(typeof currencies != 'object' || Array.isArray(currencies) || typeof items != 'object' || Array.isArray(items))
+        return "`currencies` and `items` must map IDs to amounts.";
+
+    for (const [currency_id, amount] of Object.entries(currencies)) {
+        if(!Number.isInteger(amount) || amount < 1) return `The amount of ${currency_id} must be a positive integer.`;
+
+        const currency = await GetCurrency(currency_id);
+        if(currency === null) return `Currency ${currency_id} does not exist.`;
+        if(!currency.transferable) return `${currency.display_name} cannot be traded.`;
+    }
+
+    for (const [item_id, count] of Object.entries(items)) {
+        if(!Number.isInteger(count) || count < 1) return `The count of item ${item_id} must be a positive integer.`;
+
+        const item = await PullItem(item_id);
+        if(item === null) return `Item ${item_id} does not exist.`;
+        if(!item.is_transferrable) return `Item ${item_id} cannot be traded.`;
+    }
+
+    return {currencies: currencies, items: items};
+}
+
+function IsSideEmpty(side) {
+    return Object.keys(side.currencies).length < 1 && Object.keys(side.items).length < 1;
+}
+
+/**
+ * Turns one side of a trade into ledger changes for a player.
+ * @param {String} user_id The ID of the player receiving or giving the side.
+ * @param {TradeSide} side The side of the trade.
+ * @param {1|-1} direction 1 to give the side to the player, -1 to take it from them.
+ * @returns {import('./econ').LedgerChange[]} The ledger changes.
+ */
+function SideChanges(user_id, side, direction) {
+    const changes = Object.entries(side.currencies).map(([currency_id, amount]) => ({
+        user_id: user_id,
+        currency: amount * direction,
+        currency_id: currency_id
+    }));
+
+    if(Object.keys(side.items).length > 0) changes.push({
+        user_id: user_id,
+        items: Object.fromEntries(Object.entries(side.items).map(([item_id, count]) => [item_id, count * direction]))
+    });
+
+    return changes;
+}
+
+function SendTradeEvent(user_id, code, data) {
+    const send = {
+        code: code,
+        data: data
+    };
+    require('./ws/WebSocketServerV2').ws_connected_clients[user_id]?.socket?.send(JSON.stringify(send, null, 5));
+}
+
+//#endregion
+
+module.exports = {
+    router: router,
+    ExpireTrades: ExpireTrades,
+    CancelPlayerTrades: CancelPlayerTrades
+};
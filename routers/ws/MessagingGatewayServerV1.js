@@ -12,7 +12,8 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
         isAuthenticated: false,
         tags: [],
         isDeveloper: false,
-        isCreativeToolsBetaProgramMember: false
+        isCreativeToolsBetaProgramMember: false,
+        sessionId: null
     };
     const db = mongoClient.db(process.env.MONGOOSE_DATABASE_NAME);
     const server_collection = db.collection("servers");
@@ -77,6 +78,7 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
             ClientData.isCreativeToolsBetaProgramMember = playerData.private.availableTags.includes("Creative Tools Beta Program Member");
             ClientData.isDeveloper = tokenData.developer;
             ClientData.tags = playerData.private.availableTags;
+            ClientData.sessionId = tokenData.sid ?? null;
 
             // eslint-disable-next-line no-redeclare
             var send = WebSocketV2_MessageTemplate;
@@ -90,6 +92,22 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
 
     });
 
+    stream.on('force-disconnect', (user_id, reason, except_session_id) => {
+        if (!ClientData.isAuthenticated || ClientData.uid !== user_id)
+            return;
+        if (except_session_id !== null && ClientData.sessionId === except_session_id)
+            return;
+
+        const send = {
+            code: "session_revoked",
+            data: {
+                reason: reason
+            }
+        };
+
+        stream.close(4004, JSON.stringify(send, null, 5));
+    });
+
     stream.on('message_sent', async (server_id, channel_id, message_id) => {
         if (!ClientData.isAuthenticated)
             return;
@@ -103,6 +121,8 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
         const message_content = await message_collection.findOne({ _id: { $eq: message_id, $exists: true } });
         if (message_content === null)
             return;
+        if (await IsAuthorHidden(ClientData.uid, message_content.author))
+            return;
 
         const send = {
             code: "message_sent",
@@ -152,6 +172,8 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
         const message_data = await message_collection.findOne({ _id: { $eq: message_id, $exists: true } });
         if (message_data === null)
             return;
+        if (await IsAuthorHidden(ClientData.uid, message_data.author))
+            return;
 
         const send = {
             code: "message_edited",
@@ -166,3 +188,20 @@ MessagingGatewayServerV1.on('connection', async (stream) => {
         stream.send(JSON.stringify(send, null, 5));
     });
 });
+
+/**
+ * Checks whether a player has blocked or muted the author of a message, in which case they are not sent it.
+ * @param {String} user_id The ID of the player receiving the message.
+ * @param {String} author_id The ID of the message's author.
+ * @returns {Promise<Boolean>} Whether or not the message should be hidden.
+ */
+async function IsAuthorHidden(user_id, author_id) {
+    const account = await mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("accounts").findOne(
+        { _id: { $eq: user_id, $exists: true } },
+        { projection: { "private.blocked": 1, "private.muted": 1 } }
+    );
+    if (account === null)
+        return false;
+
+    return (account.private?.blocked ?? []).includes(author_id) || (account.private?.muted ?? []).includes(author_id);
+}
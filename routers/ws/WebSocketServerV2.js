@@ -5,6 +5,7 @@ const WebSocket = require('ws');
 const { MatchmakingModes } = require('../matchmaking');
 const { WebSocketV2_MessageTemplate } = require("../../index");
 const { auditLog } = require('../../helpers');
+const { FindNotification, DismissNotifications, CountUnreadNotifications } = require('../notifications');
 
 /**
  * @typedef Connection
@@ -15,6 +16,8 @@ const { auditLog } = require('../../helpers');
  * @property {string} subroomId
  * @property {string} globalInstanceId
  * @property {string} joinCode
+ * @property {string|null} sessionId
+ * @property {string[]} subscriptions The social event types the client asked to receive.
  */
 
 /**
@@ -24,6 +27,19 @@ var ws_connected_clients = {};
 
 exports.ws_connected_clients = ws_connected_clients;
 
+/**
+ * Typed social events clients can subscribe to with `subscribe_social_events`.
+ * Clients that never subscribe only receive `standard_notification_recieved`, like before.
+ */
+const SOCIAL_EVENT_TYPES = [
+    "friend_request_received",
+    "friend_request_accepted",
+    "friend_removed",
+    "friend_online",
+    "friend_offline",
+    "friend_changed_room"
+];
+
 /**
  * @typedef ConnectedUserData
  * @property {string} uid
@@ -130,10 +146,12 @@ WebSocketServerV2.on('connection', (Socket) => {
             ConnectedUserData.isDeveloper = tokenData.developer;
             ConnectedUserData.tags = playerData.private.availableTags;
 
+            var unread = await CountUnreadNotifications(ConnectedUserData.uid);
+
             var final_send = WebSocketV2_MessageTemplate;
             final_send.code = "authentication_success";
             final_send.data = {
-                message: `Welcome back to Compensation VR.\nYou have ${playerData.notifications.length} unread notifications.`
+                message: `Welcome back to Compensation VR.\nYou have ${unread} unread notifications.`
             };
 
             ws_connected_clients[ConnectedUserData.uid] = {
@@ -143,11 +161,30 @@ WebSocketServerV2.on('connection', (Socket) => {
                 roomId: null,
                 subroomId: null,
                 globalInstanceId: null,
-                joinCode: null
+                joinCode: null,
+                sessionId: tokenData.sid ?? null,
+                subscriptions: []
             };
 
             auditLog(`User "${ConnectedUserData.nickname}" / @${ConnectedUserData.username} with ID ${ConnectedUserData.uid} has connected. Online players: ${Object.keys(ws_connected_clients).length}`);
+            BroadcastPresence(ConnectedUserData.uid, "friend_online").catch(console.error);
             return Socket.send(JSON.stringify(final_send, null, 5));
+        case "subscribe_social_events":
+            if (!ConnectedUserData.isAuthenticated)
+                return;
+            if (!Array.isArray(ParsedContent.data.events))
+                return;
+
+            // unknown event types are ignored, the reply tells the client which ones it will get
+            ws_connected_clients[ConnectedUserData.uid].subscriptions = SOCIAL_EVENT_TYPES.filter(x => ParsedContent.data.events.includes(x));
+
+            // eslint-disable-next-line no-redeclare
+            var send = WebSocketV2_MessageTemplate;
+            send.code = "social_events_subscribed";
+            send.data = {
+                events: ws_connected_clients[ConnectedUserData.uid].subscriptions
+            };
+            return Socket.send(JSON.stringify(send, null, 5));
         case "join_or_create_matchmaking_instance":
             if (!ConnectedUserData.isAuthenticated)
                 return;
@@ -163,6 +200,9 @@ WebSocketServerV2.on('connection', (Socket) => {
             if (!Object.keys(room.subrooms).includes(ParsedContent.data.subroomId))
                 return;
 
+            if (!await CheckRoomAccess(Socket, room, ConnectedUserData))
+                return;
+
             await collection.updateOne({_id: {$eq: ParsedContent.data.roomId}}, {'$inc': {"visits": 1}});
 
 
@@ -217,6 +257,7 @@ WebSocketServerV2.on('connection', (Socket) => {
                 ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
                 ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
                 ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+                BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
                 return;
             }
 
@@ -280,6 +321,7 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = final_selection.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = final_selection.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = final_selection.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
             return;
         case "create_public_matchmaking_instance":
             if (!ConnectedUserData.isAuthenticated)
@@ -298,6 +340,8 @@ WebSocketServerV2.on('connection', (Socket) => {
                 return;
             if (!Object.keys(room.subrooms).includes(ParsedContent.data.subroomId))
                 return;
+            if (!await CheckRoomAccess(Socket, room, ConnectedUserData))
+                return;
 
             // eslint-disable-next-line no-redeclare
             var instances = await MatchmakingAPI.GetInstances(ParsedContent.data.roomId);
@@ -351,6 +395,7 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
             return;
         case "create_private_matchmaking_instance":
             if (!ConnectedUserData.isAuthenticated)
@@ -369,6 +414,8 @@ WebSocketServerV2.on('connection', (Socket) => {
                 return;
             if (!Object.keys(room.subrooms).includes(ParsedContent.data.subroomId))
                 return;
+            if (!await CheckRoomAccess(Socket, room, ConnectedUserData))
+                return;
 
             // eslint-disable-next-line no-redeclare
             var instances = await MatchmakingAPI.GetInstances(ParsedContent.data.roomId);
@@ -421,12 +468,15 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
             return;
         case "matchmaking_reconnection_verify":
             if (!ConnectedUserData.isAuthenticated)
                 return;
             if (typeof ParsedContent.data.room_id != 'string' || typeof ParsedContent.data.join_code != 'string')
                 return;
+            if (!await CheckRoomAccess(Socket, ParsedContent.data.room_id, ConnectedUserData))
+                return;
 
             // eslint-disable-next-line no-redeclare
             var instance = (await MatchmakingAPI.GetInstances(ParsedContent.data.room_id)).filter(x => x.JoinCode == ParsedContent.data.join_code)[0];
@@ -443,6 +493,7 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
             return;
         case "join_player_invite":
             if (!ConnectedUserData.isAuthenticated)
@@ -450,32 +501,34 @@ WebSocketServerV2.on('connection', (Socket) => {
             if (typeof ParsedContent.data.user_id != 'string')
                 return;
 
-            var currentData = await helpers.PullPlayerData(ConnectedUserData.uid);
-            var now = Date.now();
-            var inviteIndex = currentData.notifications.findIndex(x => x.template === "invite" && x.parameters.sendingPlayer === ParsedContent.data.user_id && parseInt(x.parameters.sentAt) + (5 * 60 * 1000) > now);
+            // Expired invites are never returned, the notification store handles their lifetime.
+            var invite = await FindNotification(ConnectedUserData.uid, { template: "invite", "parameters.sendingPlayer": ParsedContent.data.user_id });
+
+            if (invite === null)
+                return;
 
-            if (inviteIndex === -1)
+            if (await helpers.IsEitherPlayerBlocked(ConnectedUserData.uid, ParsedContent.data.user_id)) {
+                // A block exists between the players, revoke the invite & fail.
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
+            }
 
             // The invite itself is valid, now validate the player's location.
             if (typeof ws_connected_clients[ParsedContent.data.user_id] != 'object') {
                 // If the player is offline, revoke the invite & fail.
-                currentData.notifications.splice(inviteIndex);
-                await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
             }
 
             if (typeof ws_connected_clients[ParsedContent.data.user_id].joinCode != 'string') {
                 // If the player is online, but doesn't have a join code, revoke the invite & fail.
-                currentData.notifications.splice(inviteIndex);
-                await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
             }
 
             if (ws_connected_clients[ParsedContent.data.user_id].joinCode === ws_connected_clients[ConnectedUserData.uid].joinCode) {
                 // The player is already in the same room, fail.
-                currentData.notifications.splice(inviteIndex);
-                await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
             }
 
@@ -485,18 +538,20 @@ WebSocketServerV2.on('connection', (Socket) => {
 
             if (typeof instance != 'object') {
                 // Instance is invalid for some reason, fail.
-                currentData.notifications.splice(inviteIndex);
-                await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
             }
 
             if (instance.Players.length >= instance.MaxPlayers) {
                 // Instance is full, fail.
-                currentData.notifications.splice(inviteIndex);
-                await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+                await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
                 return;
             }
 
+            // The invite is kept, so the player can accept it after buying access.
+            if (!await CheckRoomAccess(Socket, instance.RoomId, ConnectedUserData))
+                return;
+
             instance.AddPlayer(ConnectedUserData.uid);
 
             await MatchmakingAPI.SetInstance(instance.RoomId, instance.InstanceId, instance);
@@ -510,6 +565,7 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
 
             // eslint-disable-next-line no-redeclare
             var collection = require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("rooms");
@@ -537,8 +593,7 @@ WebSocketServerV2.on('connection', (Socket) => {
                 authorPublicData: (await helpers.PullPlayerData(room.creator_id)).public
             };
             
-            currentData.notifications.splice(inviteIndex);
-            await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+            await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
 
             Socket.send(JSON.stringify(send, null, 5));
             return;
@@ -548,7 +603,13 @@ WebSocketServerV2.on('connection', (Socket) => {
             if (typeof ParsedContent.data.user_id != 'string')
                 return;
 
-            if (inviteIndex === -1)
+            // players can't follow somebody into a room if either of them has blocked the other
+            if (await helpers.IsEitherPlayerBlocked(ConnectedUserData.uid, ParsedContent.data.user_id))
+                return;
+
+            // or if the player's presence settings hide where they are
+            var targetData = await helpers.PullPlayerData(ParsedContent.data.user_id);
+            if (targetData === null || !helpers.GetVisiblePresence(targetData, ConnectedUserData.uid).online)
                 return;
 
             // The invite itself is valid, now validate the player's location.
@@ -571,6 +632,8 @@ WebSocketServerV2.on('connection', (Socket) => {
 
             if (instance.Players.length >= instance.MaxPlayers) return;
 
+            if (!await CheckRoomAccess(Socket, instance.RoomId, ConnectedUserData)) return;
+
             instance.AddPlayer(ConnectedUserData.uid);
 
             await MatchmakingAPI.SetInstance(instance.RoomId, instance.InstanceId, instance);
@@ -584,6 +647,7 @@ WebSocketServerV2.on('connection', (Socket) => {
             ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
             ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
             ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+            BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
 
             // eslint-disable-next-line no-redeclare
             var collection = require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME).collection("rooms");
@@ -620,33 +684,33 @@ WebSocketServerV2.on('connection', (Socket) => {
                 return;
 
             // eslint-disable-next-line no-redeclare
-            var currentData = await helpers.PullPlayerData(ConnectedUserData.uid);
-            // eslint-disable-next-line no-redeclare
-            var inviteIndex = currentData.notifications.findIndex(x => x.type === "invite" && x.parameters.sending_id === ParsedContent.data.user_id);
+            var invite = await FindNotification(ConnectedUserData.uid, { template: "invite", "parameters.sendingPlayer": ParsedContent.data.user_id });
 
-            if (inviteIndex === -1)
+            if (invite === null)
                 return;
 
-            currentData.notifications.splice(inviteIndex);
-            await helpers.PushPlayerData(ConnectedUserData.uid, currentData);
+            await DismissNotifications(ConnectedUserData.uid, { _id: { $eq: invite._id } });
 
-            // eslint-disable-next-line no-redeclare
-            var otherData = await helpers.PullPlayerData(currentData.notifications[inviteIndex].parameters.sending_id);
-
-            var notif = {
-                template: "invite_declined",
-                parameters: {
-                    sendingPlayer: ConnectedUserData.uid,
-                    sending_data: currentData.public,
-                    headerText: "Invite Declined",
-                    bodyText: `@${currentData.public.username} has declined your invite.`,
-                    cancelText: "OK",
-                    continueText: "OK"
-                }
-            };
+            // Nobody is told about declined invites from players they have blocked.
+            if (await helpers.IsEitherPlayerBlocked(ConnectedUserData.uid, ParsedContent.data.user_id))
+                return;
+
+            var currentData = await helpers.PullPlayerData(ConnectedUserData.uid);
 
-            otherData.notifications.push(notif);
-            await helpers.PushPlayerData(currentData.notifications[inviteIndex].parameters.sending_id, otherData);
+            await helpers.NotifyPlayer(ParsedContent.data.user_id, "invite_declined", {
+                sendingPlayer: ConnectedUserData.uid,
+                sending_data: currentData.public,
+                headerText: "Invite Declined",
+                bodyText: `@${currentData.public.username} has declined your invite.`,
+                cancelText: "OK",
+                continueText: "OK"
+            });
+
+            // eslint-disable-next-line no-redeclare
+            var send = WebSocketV2_MessageTemplate;
+            send.code = "standard_notification_recieved";
+            send.data = {};
+            ws_connected_clients[ParsedContent.data.user_id]?.socket?.send(JSON.stringify(send, null, 5));
             return;
         }
     });
@@ -659,6 +723,8 @@ WebSocketServerV2.on('connection', (Socket) => {
             .db(process.env.MONGOOSE_DATABASE_NAME)
             .collection('rooms')
             .findOne({ _id: { $eq: roomId, $exists: true } });
+        if (roomData === null || !await CheckRoomAccess(Socket, roomData, ConnectedUserData))
+            return;
         instance.AddPlayer(ConnectedUserData.uid);
         await MatchmakingAPI.SetInstance(instance.RoomId, instance.InstanceId, instance);
 
@@ -671,6 +737,7 @@ WebSocketServerV2.on('connection', (Socket) => {
         ws_connected_clients[ConnectedUserData.uid].subroomId = instance.SubroomId;
         ws_connected_clients[ConnectedUserData.uid].globalInstanceId = instance.GlobalInstanceId;
         ws_connected_clients[ConnectedUserData.uid].joinCode = instance.JoinCode;
+        BroadcastPresence(ConnectedUserData.uid, "friend_changed_room").catch(console.error);
 
         var room = await require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME)
             .collection('rooms')
@@ -733,7 +800,9 @@ WebSocketServerV2.on('connection', (Socket) => {
         if (ws_connected_clients[ConnectedUserData.uid].version !== 2)
             return;
 
+        // the entry goes first, so a failed or slow read can never block the player from reconnecting
         delete ws_connected_clients[ConnectedUserData.uid];
+        AnnounceOffline(ConnectedUserData.uid).catch(console.error);
         auditLog(`User "${ConnectedUserData.nickname}" / @${ConnectedUserData.username} with ID ${ConnectedUserData.uid} has disconnected. Currently online players: ${Object.keys(ws_connected_clients).length}`);
 
         if (ConnectedUserData.matchmaking_InstanceId != null) {
@@ -748,3 +817,135 @@ WebSocketServerV2.on('connection', (Socket) => {
         throw err;
     });
 });
+
+/**
+ * Sends a typed social event to a player, if they are online and subscribed to that event type.
+ * @param {string} user_id The ID of the player to send the event to.
+ * @param {string} type The event type, one of `SOCIAL_EVENT_TYPES`.
+ * @param {Object} data The event's data.
+ */
+function SendSocialEvent(user_id, type, data) {
+    const client = ws_connected_clients[user_id];
+    if (typeof client != 'object' || !client.subscriptions?.includes(type))
+        return;
+
+    client.socket.send(JSON.stringify({ code: type, data: data }, null, 5));
+}
+
+/**
+ * Finds the online friends of a player who are allowed to see the player's presence.
+ * @param {Object} data The player's account data.
+ * @returns {string[]} The IDs of the friends.
+ */
+function GetPresenceAudience(data) {
+    const friends = helpers.MergeArraysWithoutDuplication(
+        helpers.MergeArraysWithoutDuplication(data.private.acquaintances, data.private.friends),
+        data.private.favoriteFriends
+    );
+    return friends.filter(id => typeof ws_connected_clients[id] == 'object' && helpers.GetVisiblePresence(data, id).online);
+}
+
+/**
+ * Tells a player's friends where the player is, as far as the player's presence settings allow.
+ * @param {string} user_id The ID of the player.
+ * @param {"friend_online"|"friend_changed_room"} type The event type.
+ * @param {string[]|null} recipients Only tell these friends, or null to tell every friend who can see the player.
+ */
+async function BroadcastPresence(user_id, type, recipients = null) {
+    const data = await helpers.PullPlayerData(user_id);
+    if (data === null)
+        return;
+
+    const roomId = ws_connected_clients[user_id]?.roomId ?? null;
+    const room = roomId === null ? null : await require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME)
+        .collection('rooms')
+        .findOne({ _id: { $eq: roomId, $exists: true } }, { projection: { _id: 1, name: 1 } });
+
+    for (const id of GetPresenceAudience(data)) {
+        if (recipients !== null && !recipients.includes(id))
+            continue;
+
+        SendSocialEvent(id, type, {
+            user_id: user_id,
+            username: data.public.username,
+            nickname: data.public.nickname,
+            presence: helpers.GetVisiblePresence(data, id),
+            room: room
+        });
+    }
+}
+
+/**
+ * Tells the friends who could see a player online that the player has disconnected.
+ * @param {string} user_id The ID of the player, already removed from `ws_connected_clients`.
+ */
+async function AnnounceOffline(user_id) {
+    const data = await helpers.PullPlayerData(user_id);
+    // nothing to announce if the player is gone, or has already reconnected
+    if (data === null || typeof ws_connected_clients[user_id] == 'object')
+        return;
+
+    const friends = helpers.MergeArraysWithoutDuplication(
+        helpers.MergeArraysWithoutDuplication(data.private.acquaintances, data.private.friends),
+        data.private.favoriteFriends
+    );
+    for (const id of friends) {
+        if (typeof ws_connected_clients[id] == 'object' && helpers.CanSeePresence(data, id))
+            SendSocialEvent(id, "friend_offline", { user_id: user_id });
+    }
+}
+
+/**
+ * Sends `friend_online` and `friend_offline` events to friends who gained or lost sight of a player after their presence settings changed.
+ * @param {string} user_id The ID of the player.
+ * @param {string[]} previous_audience The result of `GetPresenceAudience` before the change.
+ */
+async function AnnouncePresenceChange(user_id, previous_audience) {
+    const data = await helpers.PullPlayerData(user_id);
+    if (data === null)
+        return;
+
+    const audience = GetPresenceAudience(data);
+    for (const id of previous_audience) {
+        if (!audience.includes(id))
+            SendSocialEvent(id, "friend_offline", { user_id: user_id });
+    }
+
+    await BroadcastPresence(user_id, "friend_online", audience.filter(id => !previous_audience.includes(id)));
+}
+
+/**
+ * Checks whether a player may enter a room, and tells them what access costs if they may not.
+ * Every path that adds a player to an instance goes through this, so paid rooms cannot be entered without buying access.
+ * @param {WebSocket.Socket} socket The player's socket.
+ * @param {Object|string} room The room, or its ID.
+ * @param {Object} user The connection's user data, with `uid` and `isDeveloper`.
+ * @returns {Promise<boolean>} Whether or not the player may enter the room.
+ */
+async function CheckRoomAccess(socket, room, user) {
+    if (typeof room == 'string')
+        room = await require('../../index').mongoClient.db(process.env.MONGOOSE_DATABASE_NAME)
+            .collection('rooms')
+            .findOne({ _id: { $eq: room, $exists: true } });
+    if (room === null)
+        return false;
+
+    if (await require('../rooms').HasRoomAccess(room, user.uid, user.isDeveloper))
+        return true;
+
+    socket.send(JSON.stringify({
+        code: "room_access_required",
+        data: {
+            roomId: room._id,
+            accessPrice: room.monetization.access_price,
+            currency: room.monetization.currency
+        }
+    }, null, 5));
+    return false;
+}
+
+exports.SOCIAL_EVENT_TYPES = SOCIAL_EVENT_TYPES;
+exports.SendSocialEvent = SendSocialEvent;
+exports.GetPresenceAudience = GetPresenceAudience;
+exports.BroadcastPresence = BroadcastPresence;
+exports.AnnouncePresenceChange = AnnouncePresenceChange;